@@ -0,0 +1,248 @@
+// Blog System - Featured Image Field
+// Drop zone for a post's featured image: crop, focal point, alt text, then upload
+
+import React, { useState, useEffect, useRef } from 'react';
+import { FocalPoint, FeaturedImageMeta } from './types';
+import {
+  AspectRatio,
+  ASPECT_RATIOS,
+  IMAGE_TYPES,
+  MAX_UPLOAD_SIZE,
+  cropRect,
+  loadImage,
+  processImage,
+  uploadFeaturedImage,
+  altTextFromFileName,
+  altTextPrompts,
+  altTextWarnings
+} from './images';
+
+interface FeaturedImage {
+  url: string;
+  meta: FeaturedImageMeta;
+}
+
+interface FeaturedImageFieldProps {
+  url?: string;
+  meta?: FeaturedImageMeta;
+  postTitle: string;
+  onChange: (image: FeaturedImage | null) => void;
+}
+
+// A picked file waiting to be cropped and uploaded
+interface PendingImage {
+  file: File;
+  image: HTMLImageElement;
+  previewUrl: string;
+}
+
+const CENTER: FocalPoint = { x: 0.5, y: 0.5 };
+
+const percent = (value: number) => `${value * 100}%`;
+
+const FeaturedImageField: React.FC<FeaturedImageFieldProps> = ({ url, meta, postTitle, onChange }) => {
+  const [pending, setPending] = useState<PendingImage | null>(null);
+  const [aspectRatio, setAspectRatio] = useState<AspectRatio>('16:9');
+  const [focalPoint, setFocalPoint] = useState<FocalPoint>(CENTER);
+  const [alt, setAlt] = useState('');
+  const [dragging, setDragging] = useState(false);
+  const [progress, setProgress] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+  // Set by uploadFileSecure once the upload has started
+  const abortUpload = useRef<(() => void) | null>(null);
+
+  useEffect(() => () => {
+    if (pending) {
+      URL.revokeObjectURL(pending.previewUrl);
+    }
+  }, [pending]);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) {
+      return;
+    }
+    setError(null);
+    // uploadFileSecure checks again after resizing; this catches obvious mistakes before any work
+    if (!IMAGE_TYPES.includes(file.type)) {
+      setError('Use a JPEG, PNG or WebP image');
+      return;
+    }
+    if (file.size > MAX_UPLOAD_SIZE) {
+      setError(`Images can be at most ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB`);
+      return;
+    }
+
+    try {
+      const image = await loadImage(file);
+      setPending({ file, image, previewUrl: URL.createObjectURL(file) });
+      setFocalPoint(CENTER);
+      setAlt(altTextFromFileName(file.name));
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'The image could not be read');
+    }
+  };
+
+  const handleDrop = (event: React.DragEvent) => {
+    event.preventDefault();
+    setDragging(false);
+    handleFile(event.dataTransfer.files[0]);
+  };
+
+  const handleFocalPointClick = (event: React.MouseEvent<HTMLElement>) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    setFocalPoint({
+      x: Math.min(Math.max((event.clientX - bounds.left) / bounds.width, 0), 1),
+      y: Math.min(Math.max((event.clientY - bounds.top) / bounds.height, 0), 1)
+    });
+  };
+
+  const handleUpload = async () => {
+    if (!pending) {
+      return;
+    }
+    setError(null);
+    setProgress(0);
+
+    try {
+      const processed = await processImage(pending.file, pending.image, aspectRatio, focalPoint);
+      const uploaded = await uploadFeaturedImage(processed, alt.trim(), {
+        onProgress: (value) => setProgress(Math.round(value)),
+        onAbort: (abort) => {
+          abortUpload.current = abort;
+        }
+      });
+      onChange(uploaded);
+      setPending(null);
+    } catch (uploadError) {
+      // uploadFileSecure has already removed the partial upload on the server
+      setError(uploadError instanceof Error ? uploadError.message : 'Upload failed');
+    } finally {
+      abortUpload.current = null;
+      setProgress(null);
+    }
+  };
+
+  const renderAltText = (value: string, fileName: string, onAltChange: (value: string) => void) => (
+    <div className="featured-image__alt">
+      <label htmlFor="featured-image-alt">Alt text</label>
+      <textarea id="featured-image-alt" rows={2} value={value} onChange={(e) => onAltChange(e.target.value)} />
+      <ul className="featured-image__prompts">
+        {altTextPrompts(postTitle).map(prompt => <li key={prompt}>{prompt}</li>)}
+      </ul>
+      {altTextWarnings(value, fileName).map(warning => (
+        <span key={warning} className="field-hint">{warning}</span>
+      ))}
+    </div>
+  );
+
+  const renderEditor = ({ image, previewUrl, file }: PendingImage) => {
+    const crop = cropRect(image.naturalWidth, image.naturalHeight, ASPECT_RATIOS[aspectRatio], focalPoint);
+    const uploading = progress !== null;
+
+    return (
+      <div className="featured-image__editor">
+        <div
+          className="featured-image__stage"
+          onClick={handleFocalPointClick}
+          title="Click the most important part of the image"
+        >
+          <img src={previewUrl} alt="" />
+          <div
+            className="featured-image__crop"
+            style={{
+              left: percent(crop.x / image.naturalWidth),
+              top: percent(crop.y / image.naturalHeight),
+              width: percent(crop.width / image.naturalWidth),
+              height: percent(crop.height / image.naturalHeight)
+            }}
+          />
+          <span className="featured-image__focal" style={{ left: percent(focalPoint.x), top: percent(focalPoint.y) }} />
+        </div>
+
+        <div className="featured-image__ratios" role="group" aria-label="Aspect ratio">
+          {(Object.keys(ASPECT_RATIOS) as AspectRatio[]).map(ratio => (
+            <button
+              key={ratio}
+              type="button"
+              aria-pressed={ratio === aspectRatio}
+              disabled={uploading}
+              onClick={() => setAspectRatio(ratio)}
+            >
+              {ratio === 'original' ? 'Original' : ratio}
+            </button>
+          ))}
+        </div>
+
+        {renderAltText(alt, file.name, setAlt)}
+
+        {uploading ? (
+          <div className="featured-image__progress">
+            <progress max={100} value={progress ?? 0} aria-label="Upload progress" />
+            <button type="button" onClick={() => abortUpload.current?.()}>Cancel upload</button>
+          </div>
+        ) : (
+          <div className="featured-image__actions">
+            <button type="button" onClick={handleUpload}>Use image</button>
+            <button type="button" onClick={() => setPending(null)}>Cancel</button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderCurrent = (imageUrl: string) => (
+    <div className="featured-image__current">
+      <img
+        src={imageUrl}
+        alt={meta?.alt ?? ''}
+        width={meta?.width}
+        height={meta?.height}
+        style={meta ? { objectPosition: `${percent(meta.focalPoint.x)} ${percent(meta.focalPoint.y)}` } : undefined}
+      />
+      {meta
+        ? renderAltText(meta.alt, imageUrl.split('/').pop() ?? '', (value) => onChange({ url: imageUrl, meta: { ...meta, alt: value } }))
+        : <span className="field-hint">Upload the image again to add alt text and crop information</span>}
+      <div className="featured-image__actions">
+        <button type="button" onClick={() => fileInput.current?.click()}>Replace</button>
+        <button type="button" onClick={() => onChange(null)}>Remove</button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="featured-image">
+      {pending && renderEditor(pending)}
+      {!pending && url && renderCurrent(url)}
+      {!pending && !url && (
+        <div
+          className={`featured-image__dropzone${dragging ? ' featured-image__dropzone--active' : ''}`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+        >
+          <p>Drop an image here, or</p>
+          <button type="button" onClick={() => fileInput.current?.click()}>Choose an image</button>
+        </div>
+      )}
+
+      <input
+        ref={fileInput}
+        type="file"
+        accept={IMAGE_TYPES.join(',')}
+        hidden
+        onChange={(e) => {
+          handleFile(e.target.files?.[0]);
+          e.target.value = ''; // picking the same file again still fires onChange
+        }}
+      />
+      {error && <div className="error" role="alert">{error}</div>}
+    </div>
+  );
+};
+
+export default FeaturedImageField;
+export { FeaturedImage };
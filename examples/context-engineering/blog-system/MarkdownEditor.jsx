@@ -0,0 +1,149 @@
+// Blog System - Markdown Editor
+// Markdown textarea with formatting toolbar, keyboard shortcuts and a sanitized live preview
+
+import React, { useState, useMemo, useRef } from 'react';
+import { ContentFormat } from './types';
+import { renderPostContent } from './markdown';
+
+type ViewMode = 'write' | 'split' | 'preview';
+
+interface MarkdownEditorProps {
+  id?: string;
+  value: string;
+  onChange: (value: string) => void;
+  // HTML posts get the preview but not the Markdown toolbar
+  format?: ContentFormat;
+  invalid?: boolean;
+}
+
+// `wrap` surrounds the selection, `prefix` starts every selected line
+interface ToolbarAction {
+  name: string;
+  label: string;
+  title: string;
+  shortcut?: string; // with Ctrl / Cmd
+  wrap?: [string, string];
+  prefix?: string;
+  placeholder: string;
+}
+
+const TOOLBAR_ACTIONS: ToolbarAction[] = [
+  { name: 'bold', label: 'B', title: 'Bold (Ctrl+B)', shortcut: 'b', wrap: ['**', '**'], placeholder: 'bold text' },
+  { name: 'italic', label: 'I', title: 'Italic (Ctrl+I)', shortcut: 'i', wrap: ['_', '_'], placeholder: 'italic text' },
+  { name: 'heading', label: 'H', title: 'Heading', prefix: '## ', placeholder: 'Heading' },
+  { name: 'link', label: 'Link', title: 'Link (Ctrl+K)', shortcut: 'k', wrap: ['[', '](https://)'], placeholder: 'link text' },
+  { name: 'code', label: '</>', title: 'Inline code (Ctrl+E)', shortcut: 'e', wrap: ['`', '`'], placeholder: 'code' },
+  { name: 'codeBlock', label: '{ }', title: 'Code block', wrap: ['\n```\n', '\n```\n'], placeholder: 'code' },
+  { name: 'list', label: 'List', title: 'Bulleted list', prefix: '- ', placeholder: 'List item' },
+  { name: 'orderedList', label: '1.', title: 'Numbered list', prefix: '1. ', placeholder: 'List item' },
+  { name: 'quote', label: 'Quote', title: 'Quote', prefix: '> ', placeholder: 'Quote' },
+  {
+    name: 'table', label: 'Table', title: 'Table',
+    wrap: ['\n| Column | Column |\n| --- | --- |\n| ', ' |  |\n'], placeholder: 'Cell'
+  }
+];
+
+const VIEW_MODES: { mode: ViewMode; label: string }[] = [
+  { mode: 'write', label: 'Write' },
+  { mode: 'split', label: 'Split' },
+  { mode: 'preview', label: 'Preview' }
+];
+
+// Returns the new text and the range to select afterwards
+const applyAction = (value: string, start: number, end: number, action: ToolbarAction) => {
+  if (action.wrap) {
+    const [before, after] = action.wrap;
+    const selected = value.slice(start, end) || action.placeholder;
+    const text = value.slice(0, start) + before + selected + after + value.slice(end);
+    return { text, selectStart: start + before.length, selectEnd: start + before.length + selected.length };
+  }
+
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const lines = (value.slice(lineStart, end) || action.placeholder).split('\n');
+  const prefixed = lines.map(line => action.prefix + line).join('\n');
+  const text = value.slice(0, lineStart) + prefixed + value.slice(end);
+  return { text, selectStart: lineStart, selectEnd: lineStart + prefixed.length };
+};
+
+const MarkdownEditor: React.FC<MarkdownEditorProps> = ({ id, value, onChange, format = 'markdown', invalid = false }) => {
+  const [viewMode, setViewMode] = useState<ViewMode>('split');
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+
+  const previewHtml = useMemo(() => renderPostContent(value, format), [value, format]);
+
+  const runAction = (action: ToolbarAction) => {
+    const textarea = textareaRef.current;
+    if (!textarea) {
+      return;
+    }
+
+    const { text, selectStart, selectEnd } = applyAction(value, textarea.selectionStart, textarea.selectionEnd, action);
+    onChange(text);
+    // Restore focus and selection once React has written the new value
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(selectStart, selectEnd);
+    });
+  };
+
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || format !== 'markdown') {
+      return;
+    }
+    const action = TOOLBAR_ACTIONS.find(candidate => candidate.shortcut === event.key.toLowerCase());
+    if (action) {
+      event.preventDefault();
+      runAction(action);
+    }
+  };
+
+  return (
+    <div className={`markdown-editor markdown-editor--${viewMode}`}>
+      <div className="markdown-editor__toolbar" role="toolbar" aria-label="Formatting">
+        {TOOLBAR_ACTIONS.map(action => (
+          <button
+            key={action.name}
+            type="button"
+            title={action.title}
+            aria-label={action.title}
+            disabled={viewMode === 'preview' || format !== 'markdown'}
+            onClick={() => runAction(action)}
+          >
+            {action.label}
+          </button>
+        ))}
+        <span className="markdown-editor__modes">
+          {VIEW_MODES.map(({ mode, label }) => (
+            <button key={mode} type="button" aria-pressed={viewMode === mode} onClick={() => setViewMode(mode)}>
+              {label}
+            </button>
+          ))}
+        </span>
+      </div>
+
+      <div className="markdown-editor__panes">
+        {viewMode !== 'preview' && (
+          <textarea
+            id={id}
+            ref={textareaRef}
+            rows={16}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            onKeyDown={handleKeyDown}
+            aria-invalid={invalid}
+          />
+        )}
+        {viewMode !== 'write' && (
+          // previewHtml has been through the allowlist sanitizer
+          <div
+            className="markdown-preview"
+            aria-label="Preview"
+            dangerouslySetInnerHTML={{ __html: previewHtml }}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
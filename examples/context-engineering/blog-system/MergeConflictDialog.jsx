@@ -0,0 +1,99 @@
+// Blog System - Merge Conflict Dialog
+// Shows "yours vs theirs vs base" for a post that was saved by someone else in the meantime
+
+import React, { useState } from 'react';
+import { MergeablePost, MergeField, MergeResult } from './merge';
+
+interface MergeConflictDialogProps {
+  merge: MergeResult;
+  theirsAuthor?: string;
+  onResolve: (resolved: MergeablePost) => void;
+  onCancel: () => void;
+}
+
+type Choice = 'yours' | 'theirs' | 'base' | 'merged';
+
+const FIELD_LABELS: Record<MergeField, string> = {
+  title: 'Title',
+  content: 'Content',
+  tags: 'Tags'
+};
+
+const formatValue = (value: string | string[]) =>
+  Array.isArray(value) ? value.join(', ') || '(no tags)' : value || '(empty)';
+
+const MergeConflictDialog: React.FC<MergeConflictDialogProps> = ({ merge, theirsAuthor, onResolve, onCancel }) => {
+  // Fields that merged cleanly start on the merged value, conflicts on "yours"
+  const [choices, setChoices] = useState<Record<MergeField, Choice>>({
+    title: merge.title.conflict ? 'yours' : 'merged',
+    content: merge.content.conflict ? 'yours' : 'merged',
+    tags: 'merged'
+  });
+
+  const handleChoiceChange = (field: MergeField, choice: Choice) => {
+    setChoices(prev => ({ ...prev, [field]: choice }));
+  };
+
+  const handleResolve = () => {
+    onResolve({
+      title: merge.title[choices.title],
+      content: merge.content[choices.content],
+      tags: merge.tags[choices.tags]
+    });
+  };
+
+  const renderField = (field: MergeField) => {
+    const fieldMerge = merge[field];
+    const options: Choice[] = fieldMerge.conflict
+      ? (field === 'tags' ? ['merged', 'yours', 'theirs', 'base'] : ['yours', 'theirs', 'base'])
+      : ['merged'];
+
+    return (
+      <fieldset key={field} className={`merge-field ${fieldMerge.conflict ? 'merge-field--conflict' : ''}`}>
+        <legend>
+          {FIELD_LABELS[field]}
+          {!fieldMerge.conflict && <span className="merge-field__status"> - merged automatically</span>}
+        </legend>
+
+        <div className="merge-field__columns">
+          {(['yours', 'theirs', 'base'] as const).map(side => (
+            <div key={side} className={`merge-column merge-column--${side}`}>
+              <h4>{side === 'yours' ? 'Yours' : side === 'theirs' ? `Theirs${theirsAuthor ? ` (${theirsAuthor})` : ''}` : 'Base'}</h4>
+              <pre className="merge-column__value">{formatValue(fieldMerge[side])}</pre>
+            </div>
+          ))}
+        </div>
+
+        <div className="merge-field__choices" role="radiogroup" aria-label={`Keep which ${FIELD_LABELS[field].toLowerCase()}`}>
+          {options.map(choice => (
+            <label key={choice}>
+              <input
+                type="radio"
+                name={`merge-${field}`}
+                checked={choices[field] === choice}
+                onChange={() => handleChoiceChange(field, choice)}
+              />
+              {choice === 'merged' ? `Merged: ${formatValue(fieldMerge.merged)}` : `Keep ${choice}`}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+    );
+  };
+
+  return (
+    <div className="merge-dialog" role="dialog" aria-modal="true" aria-labelledby="merge-dialog-title">
+      <h3 id="merge-dialog-title">This post was changed while you were editing</h3>
+      <p>Review both versions and choose what to keep. Your save will be based on their version.</p>
+
+      {(['title', 'content', 'tags'] as const).map(renderField)}
+
+      <div className="merge-dialog__actions">
+        <button type="button" onClick={onCancel}>Keep editing</button>
+        <button type="button" className="primary" onClick={handleResolve}>Save merged post</button>
+      </div>
+    </div>
+  );
+};
+
+export default MergeConflictDialog;
@@ -1,54 +1,355 @@
 // Blog System - Post Editor Component
 // React component for creating and editing blog posts
 
-import React, { useState, useEffect } from 'react';
-import { Post, CreatePostData, UpdatePostData } from './types';
-import BlogApiService from './api-service';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Post, UserRole, ContentFormat, CreatePostData, UpdatePostData, DraftData } from './types';
+import BlogApiService, { ApiResponse } from './api-service';
+import { threeWayMerge, sameEdits, MergeablePost, MergeResult } from './merge';
+import MergeConflictDialog from './MergeConflictDialog';
+import RevisionPanel from './RevisionPanel';
+import WorkflowBar from './WorkflowBar';
+import MarkdownEditor from './MarkdownEditor';
+import TagInput from './TagInput';
+import FeaturedImageField, { FeaturedImage } from './FeaturedImageField';
+import { renderPostContent } from './markdown';
+import { createExcerpt } from './sanitize';
+import { slugify } from './slug';
+import useAutosave, { AutosaveStatus, draftStorageKey, readLocalDraft } from './useAutosave';
 
 interface PostEditorProps {
   postId?: string; // If provided, we're editing; if not, we're creating
+  authorId?: string; // Required when creating
+  userRole?: UserRole; // Decides which workflow actions are offered
   onSave?: (post: Post) => void;
   onCancel?: () => void;
 }
 
-const PostEditor: React.FC<PostEditorProps> = ({ postId, onSave, onCancel }) => {
-  const [post, setPost] = useState<Partial<Post>>({
-    title: '',
-    content: '',
-    tags: [],
-    status: 'draft'
-  });
+const EMPTY_EDITS: MergeablePost = { title: '', content: '', tags: [] };
+
+const NEW_POST: Partial<Post> = {
+  title: '',
+  slug: '',
+  content: '',
+  contentFormat: 'markdown',
+  excerpt: '',
+  tags: [],
+  status: 'draft'
+};
+
+// Draft fields outside the merge; a draft only carries the ones the author changed
+const DRAFT_FIELDS = ['slug', 'excerpt', 'contentFormat', 'featuredImage', 'featuredImageMeta'] as const;
+
+const hasFieldEdits = (draft: DraftData, post: Post | null): boolean =>
+  DRAFT_FIELDS.some(field =>
+    draft[field] !== undefined && JSON.stringify(draft[field]) !== JSON.stringify(post?.[field] ?? null)
+  );
+
+const formatTime = (date: Date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const describeSaveStatus = (status: AutosaveStatus, lastSavedAt: Date | null, dirty: boolean): string => {
+  switch (status) {
+    case 'saving':
+      return 'Saving draft...';
+    case 'saved':
+      return lastSavedAt ? `Draft saved at ${formatTime(lastSavedAt)}` : 'Draft saved';
+    case 'offline':
+      return 'Offline - changes are kept on this device';
+    case 'error':
+      return 'Draft could not be saved to the server';
+    default:
+      return dirty ? 'Unsaved changes' : '';
+  }
+};
+
+const PostEditor: React.FC<PostEditorProps> = ({ postId, authorId, userRole = 'author', onSave, onCancel }) => {
+  const [post, setPost] = useState<Partial<Post>>(NEW_POST);
+  // The server version the current edits are based on (sent as If-Match)
+  const [basePost, setBasePost] = useState<Post | null>(null);
   const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const [conflict, setConflict] = useState<{ theirs: Post; merge: MergeResult } | null>(null);
+  const [restoredDraft, setRestoredDraft] = useState<{ savedAt: Date; outdated: boolean } | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
 
   const apiService = new BlogApiService();
+  const storageKey = draftStorageKey(postId);
+
+  const currentEdits = (): MergeablePost => ({
+    title: post.title ?? '',
+    content: post.content ?? '',
+    tags: post.tags ?? []
+  });
+
+  // Shown as the excerpt placeholder; it is not saved, so it follows later content edits
+  const autoExcerpt = useMemo(
+    () => createExcerpt(renderPostContent(post.content ?? '', post.contentFormat)),
+    [post.content, post.contentFormat]
+  );
+
+  // Left blank on a new post, the server-checked slug is generated from the title
+  const autoSlug = slugify(post.title ?? '');
+  const slugChanged = Boolean(basePost && post.slug && post.slug !== basePost.slug);
+  const excerptChanged = (post.excerpt ?? '').trim() !== (basePost?.excerpt ?? '');
+  const formatChanged = post.contentFormat !== (basePost?.contentFormat ?? 'markdown');
+  const imageChanged = post.featuredImage !== basePost?.featuredImage ||
+    JSON.stringify(post.featuredImageMeta) !== JSON.stringify(basePost?.featuredImageMeta);
+
+  const dirty = !loading && (
+    !sameEdits(currentEdits(), basePost ?? EMPTY_EDITS) || slugChanged || excerptChanged || formatChanged || imageChanged
+  );
+
+  // Everything that makes the editor dirty, so a reload brings all of it back
+  const currentDraft = (): DraftData => {
+    const draft: DraftData = { ...currentEdits(), baseVersion: basePost?.version };
+    if (slugChanged) {
+      draft.slug = post.slug;
+    }
+    if (excerptChanged) {
+      draft.excerpt = post.excerpt ?? '';
+    }
+    if (formatChanged) {
+      draft.contentFormat = post.contentFormat;
+    }
+    if (imageChanged) {
+      draft.featuredImage = post.featuredImage ?? null;
+      draft.featuredImageMeta = post.featuredImageMeta ?? null;
+    }
+    return draft;
+  };
+
+  const autosave = useAutosave({
+    storageKey,
+    draft: currentDraft(),
+    dirty,
+    saveRemote: basePost ? (draft) => apiService.saveDraft(basePost.id, draft) : undefined
+  });
 
   useEffect(() => {
     if (postId) {
       loadPost(postId);
+    } else {
+      restoreDraft(null);
     }
   }, [postId]);
 
   const loadPost = async (id: string) => {
     setLoading(true);
     const response = await apiService.getPost(id);
-    
+
     if (response.success && response.data) {
-      setPost(response.data);
+      applyServerPost(response.data);
+      await restoreDraft(response.data);
     } else {
       setError(response.message);
     }
     setLoading(false);
   };
 
-  // Try adding handleSave, handleInputChange, and form validation
-  // Notice how Copilot understands the component patterns and data flow
+  const applyServerPost = (serverPost: Post) => {
+    setPost(serverPost);
+    setBasePost(serverPost);
+  };
+
+  // `edits` replaces the draft's merged fields when it had to be merged first
+  const applyDraft = (draft: DraftData, edits: MergeablePost = draft) => {
+    setPost(prev => {
+      const next = {
+        ...prev,
+        title: edits.title,
+        content: edits.content,
+        tags: edits.tags,
+        slug: draft.slug ?? prev.slug,
+        excerpt: draft.excerpt ?? prev.excerpt,
+        contentFormat: draft.contentFormat ?? prev.contentFormat
+      };
+      if (draft.featuredImage !== undefined) {
+        next.featuredImage = draft.featuredImage ?? undefined;
+        next.featuredImageMeta = draft.featuredImageMeta ?? undefined;
+      }
+      return next;
+    });
+  };
+
+  // Brings back edits that never made it into a save: the newer of the local
+  // copy (survives a crashed tab) and the server draft (survives a new device)
+  const restoreDraft = async (serverPost: Post | null) => {
+    const local = readLocalDraft(storageKey);
+    const remote = postId ? (await apiService.getDraft(postId)).data : null;
+    const draft = remote && (!local || remote.savedAt.getTime() > Date.parse(local.savedAt))
+      ? remote
+      : local && { ...local, savedAt: new Date(local.savedAt) };
+
+    if (!draft || (sameEdits(draft, serverPost ?? EMPTY_EDITS) && !hasFieldEdits(draft, serverPost))) {
+      return;
+    }
+
+    const { baseVersion } = draft;
+    if (!serverPost || baseVersion === undefined || baseVersion === serverPost.version) {
+      applyDraft(draft);
+      setRestoredDraft({ savedAt: draft.savedAt, outdated: false });
+      return;
+    }
+
+    // Someone saved since the draft was written. Merge it into their version
+    // like a save conflict instead of laying it over their changes; the other
+    // fields keep theirs unless the draft changed them.
+    const merge = threeWayMerge(await loadDraftBase(serverPost.id, baseVersion), draft, serverPost);
+    applyDraft(draft, { title: merge.title.merged, content: merge.content.merged, tags: merge.tags.merged });
+    setRestoredDraft({ savedAt: draft.savedAt, outdated: true });
+    if (merge.hasConflicts) {
+      setConflict({ theirs: serverPost, merge });
+    }
+  };
+
+  // The revision a stale draft started from. Without it, every field where the
+  // draft and the post differ is treated as a conflict.
+  const loadDraftBase = async (id: string, version: number): Promise<MergeablePost> => {
+    const summary = (await apiService.getRevisions(id)).data?.find(revision => revision.version === version);
+    const revision = summary && (await apiService.getRevision(id, summary.id)).data;
+    return revision || EMPTY_EDITS;
+  };
+
+  const handleDiscardDraft = () => {
+    setPost(basePost ?? NEW_POST);
+    autosave.clear();
+    if (postId) {
+      apiService.discardDraft(postId);
+    }
+    setRestoredDraft(null);
+  };
+
+  const handleInputChange = (field: 'title' | 'slug' | 'content' | 'excerpt', value: string) => {
+    setPost(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Typed slugs are tidied up but keep every word the author chose
+  const handleSlugBlur = () => {
+    setPost(prev => ({ ...prev, slug: slugify(prev.slug ?? '', { removeStopwords: false }) }));
+  };
+
+  const handleFormatChange = (contentFormat: ContentFormat) => {
+    setPost(prev => ({ ...prev, contentFormat }));
+  };
+
+  const handleTagsChange = (tags: string[]) => {
+    setPost(prev => ({ ...prev, tags }));
+  };
+
+  const handleFeaturedImageChange = (image: FeaturedImage | null) => {
+    setPost(prev => ({ ...prev, featuredImage: image?.url, featuredImageMeta: image?.meta }));
+  };
+
+  // Saves `edits` on top of `base` (creating the post when there is none yet);
+  // a lost race opens the merge dialog
+  const savePost = async (edits: MergeablePost, base: Post | null) => {
+    setSaving(true);
+    setSaveError(null);
+    setFieldErrors({});
+
+    const contentFormat = post.contentFormat ?? 'markdown';
+    const slug = slugify(post.slug ?? '', { removeStopwords: false });
 
-  // The component will follow our established patterns for:
-  // - Error handling and loading states
-  // - Form input management
-  // - API integration
-  // - Event handler naming conventions
+    let response: ApiResponse<Post>;
+    if (base) {
+      const changes: UpdatePostData = { ...edits, version: base.version };
+      // Fields outside the merge are only sent when edited here, so a merge-resolve save keeps theirs
+      if (excerptChanged) {
+        changes.excerpt = post.excerpt?.trim() ?? '';
+      }
+      if (formatChanged) {
+        changes.contentFormat = contentFormat;
+      }
+      if (slugChanged && slug && slug !== base.slug) {
+        changes.slug = slug;
+        // A published URL may already be shared or indexed, so it keeps working
+        if (base.status === 'published') {
+          changes.redirectFrom = base.slug;
+        }
+      }
+      if (imageChanged) {
+        changes.featuredImage = post.featuredImage ?? null;
+        changes.featuredImageMeta = post.featuredImageMeta ?? null;
+      }
+      response = await apiService.updatePost(base.id, changes);
+    } else {
+      const data: CreatePostData = {
+        ...edits,
+        contentFormat,
+        excerpt: post.excerpt?.trim() || undefined,
+        slug: slug || undefined,
+        featuredImage: post.featuredImage,
+        featuredImageMeta: post.featuredImageMeta,
+        authorId: authorId ?? ''
+      };
+      response = await apiService.createPost(data);
+    }
+
+    if (response.success && response.data) {
+      applyServerPost(response.data);
+      setConflict(null);
+      setRestoredDraft(null);
+      autosave.clear();
+      onSave?.(response.data);
+    } else if (response.conflict && base) {
+      await handleConflict(edits, base, response.conflict.current);
+    } else {
+      setSaveError(response.message);
+      setFieldErrors(Object.fromEntries(
+        (response.fieldErrors ?? []).map(issue => [issue.path.split(/[.[]/)[0], issue.message])
+      ));
+    }
+    setSaving(false);
+  };
+
+  const handleConflict = async (edits: MergeablePost, base: Post, current: Post | null) => {
+    const theirs = current ?? (await apiService.getPost(base.id)).data;
+    if (!theirs) {
+      setSaveError('This post was changed by someone else and the latest version could not be loaded.');
+      return;
+    }
+    setConflict({ theirs, merge: threeWayMerge(base, edits, theirs) });
+  };
+
+  const handleSave = (event: React.FormEvent) => {
+    event.preventDefault();
+    savePost(currentEdits(), basePost);
+  };
+
+  // The merged result is based on their version, so that is what we save against.
+  // Fields outside the merge keep our value only where we changed it.
+  const handleMergeResolve = (resolved: MergeablePost) => {
+    if (!conflict) {
+      return;
+    }
+    const { theirs } = conflict;
+    setPost(prev => ({
+      ...prev,
+      ...resolved,
+      slug: slugChanged ? prev.slug : theirs.slug,
+      excerpt: excerptChanged ? prev.excerpt : theirs.excerpt,
+      contentFormat: formatChanged ? prev.contentFormat : theirs.contentFormat,
+      featuredImage: imageChanged ? prev.featuredImage : theirs.featuredImage,
+      featuredImageMeta: imageChanged ? prev.featuredImageMeta : theirs.featuredImageMeta
+    }));
+    setBasePost(theirs);
+    savePost(resolved, theirs);
+  };
+
+  // A restore is saved on the server, so it replaces any unsaved edits
+  const handleRevisionRestore = (restored: Post) => {
+    applyServerPost(restored);
+    setRestoredDraft(null);
+    autosave.clear();
+    onSave?.(restored);
+  };
+
+  const handleWorkflowChange = (updated: Post) => {
+    applyServerPost(updated);
+    onSave?.(updated);
+  };
 
   if (loading) {
     return <div className="loading">Loading post...</div>;
@@ -59,11 +360,143 @@ const PostEditor: React.FC<PostEditorProps> = ({ postId, onSave, onCancel }) =>
   }
 
   return (
-    <form className="post-editor">
-      {/* Add form inputs here - try letting Copilot suggest the form structure */}
-      {/* Notice how it will pick up on the Post interface and suggest appropriate inputs */}
-    </form>
+    <div className="post-editor-layout">
+      <div className="post-editor-main">
+        {/* Outside the form: Enter in its comment or time field must not save the post */}
+        {basePost && (
+          <WorkflowBar
+            post={basePost}
+            role={userRole}
+            apiService={apiService}
+            disabled={dirty}
+            onChange={handleWorkflowChange}
+          />
+        )}
+
+        <form className="post-editor" onSubmit={handleSave}>
+          {restoredDraft && (
+            <div className="banner banner--info" role="status">
+              Restored unsaved changes from {formatTime(restoredDraft.savedAt)}
+              {restoredDraft.outdated && ', merged with changes saved since'}.
+              <button type="button" onClick={handleDiscardDraft}>Discard changes</button>
+            </div>
+          )}
+          {saveError && <div className="error" role="alert">{saveError}</div>}
+
+          <label htmlFor="post-title">Title</label>
+          <input
+            id="post-title"
+            type="text"
+            value={post.title ?? ''}
+            onChange={(e) => handleInputChange('title', e.target.value)}
+            aria-invalid={Boolean(fieldErrors.title)}
+          />
+          {fieldErrors.title && <span className="field-error">{fieldErrors.title}</span>}
+
+          <label htmlFor="post-slug">URL slug</label>
+          <input
+            id="post-slug"
+            type="text"
+            placeholder={autoSlug || 'Generated from the title'}
+            value={post.slug ?? ''}
+            onChange={(e) => handleInputChange('slug', e.target.value)}
+            onBlur={handleSlugBlur}
+            aria-invalid={Boolean(fieldErrors.slug)}
+          />
+          {slugChanged && basePost?.status === 'published' && (
+            <span className="field-hint">Links to /{basePost.slug} will redirect to the new URL</span>
+          )}
+          {fieldErrors.slug && <span className="field-error">{fieldErrors.slug}</span>}
+
+          <label htmlFor="post-content">Content</label>
+          <select
+            id="post-content-format"
+            aria-label="Content format"
+            value={post.contentFormat ?? 'markdown'}
+            onChange={(e) => handleFormatChange(e.target.value as ContentFormat)}
+          >
+            <option value="markdown">Markdown</option>
+            <option value="html">HTML</option>
+          </select>
+          <MarkdownEditor
+            id="post-content"
+            value={post.content ?? ''}
+            onChange={(value) => handleInputChange('content', value)}
+            format={post.contentFormat}
+            invalid={Boolean(fieldErrors.content)}
+          />
+          {fieldErrors.content && <span className="field-error">{fieldErrors.content}</span>}
+
+          <label htmlFor="post-excerpt">Excerpt</label>
+          <textarea
+            id="post-excerpt"
+            rows={2}
+            placeholder={autoExcerpt || 'Generated from the content when left blank'}
+            value={post.excerpt ?? ''}
+            onChange={(e) => handleInputChange('excerpt', e.target.value)}
+            aria-invalid={Boolean(fieldErrors.excerpt)}
+          />
+          {fieldErrors.excerpt && <span className="field-error">{fieldErrors.excerpt}</span>}
+
+          <label htmlFor="post-tags">Tags</label>
+          <TagInput
+            id="post-tags"
+            value={post.tags ?? []}
+            onChange={handleTagsChange}
+            apiService={apiService}
+            invalid={Boolean(fieldErrors.tags)}
+          />
+          {fieldErrors.tags && <span className="field-error">{fieldErrors.tags}</span>}
+
+          <span className="field-label">Featured image</span>
+          <FeaturedImageField
+            url={post.featuredImage}
+            meta={post.featuredImageMeta}
+            postTitle={post.title ?? ''}
+            onChange={handleFeaturedImageChange}
+          />
+          {(fieldErrors.featuredImage ?? fieldErrors.featuredImageMeta) && (
+            <span className="field-error">{fieldErrors.featuredImage ?? fieldErrors.featuredImageMeta}</span>
+          )}
+
+          <div className="post-editor__actions">
+            <span className={`save-status save-status--${autosave.status}`} aria-live="polite">
+              {describeSaveStatus(autosave.status, autosave.lastSavedAt, dirty)}
+            </span>
+            {basePost && (
+              <button type="button" onClick={() => setShowHistory(!showHistory)} aria-expanded={showHistory}>
+                History
+              </button>
+            )}
+            {onCancel && <button type="button" onClick={onCancel}>Cancel</button>}
+            <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+          </div>
+
+          {conflict && (
+            <MergeConflictDialog
+              // The dialog keeps its choices in state; a new conflict starts fresh
+              key={conflict.theirs.version}
+              merge={conflict.merge}
+              theirsAuthor={conflict.theirs.author.name}
+              onResolve={handleMergeResolve}
+              onCancel={() => setConflict(null)}
+            />
+          )}
+        </form>
+      </div>
+
+      {showHistory && basePost && (
+        <RevisionPanel
+          postId={basePost.id}
+          currentVersion={basePost.version}
+          apiService={apiService}
+          onRestore={handleRevisionRestore}
+          onClose={() => setShowHistory(false)}
+          restoreDisabled={dirty}
+        />
+      )}
+    </div>
   );
 };
 
-export default PostEditor;
\ No newline at end of file
+export default PostEditor;
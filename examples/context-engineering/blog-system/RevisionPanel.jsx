@@ -0,0 +1,184 @@
+// Blog System - Revision Panel
+// Side panel listing a post's revisions, with a word-level diff and rollback
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Post, RevisionSummary, PostRevision } from './types';
+import BlogApiService from './api-service';
+import { diffWords } from './diff';
+
+interface RevisionPanelProps {
+  postId: string;
+  currentVersion: number;
+  apiService: BlogApiService;
+  onRestore: (post: Post) => void;
+  onClose: () => void;
+  // A restore replaces the form, so it waits until unsaved edits are saved
+  restoreDisabled?: boolean;
+}
+
+// Diffing long posts is expensive; only redo it when the compared text changes
+const DiffView: React.FC<{ before: string; after: string }> = ({ before, after }) => {
+  const parts = useMemo(() => diffWords(before, after), [before, after]);
+
+  return (
+    <div className="diff">
+      {parts.map((part, index) => {
+        if (part.type === 'added') {
+          return <ins key={index} className="diff__added">{part.text}</ins>;
+        }
+        if (part.type === 'removed') {
+          return <del key={index} className="diff__removed">{part.text}</del>;
+        }
+        return <span key={index}>{part.text}</span>;
+      })}
+    </div>
+  );
+};
+
+const RevisionPanel: React.FC<RevisionPanelProps> = ({
+  postId,
+  currentVersion,
+  apiService,
+  onRestore,
+  onClose,
+  restoreDisabled = false
+}) => {
+  const [revisions, setRevisions] = useState<RevisionSummary[]>([]);
+  const [fromId, setFromId] = useState<string | null>(null);
+  const [toId, setToId] = useState<string | null>(null);
+  const [from, setFrom] = useState<PostRevision | null>(null);
+  const [to, setTo] = useState<PostRevision | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Revisions never change once written, so each is fetched only once
+  const revisionCache = useRef(new Map<string, PostRevision>());
+  // Comparisons can finish out of order; only the latest selection may be shown
+  const comparisonId = useRef(0);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [postId, currentVersion]);
+
+  useEffect(() => {
+    if (fromId && toId) {
+      loadComparison(fromId, toId);
+    }
+  }, [fromId, toId]);
+
+  const loadRevisions = async () => {
+    setLoading(true);
+    const response = await apiService.getRevisions(postId);
+
+    if (response.success && response.data) {
+      setRevisions(response.data);
+      // Default to "previous vs latest"
+      setToId(response.data[0]?.id ?? null);
+      setFromId(response.data[1]?.id ?? response.data[0]?.id ?? null);
+    } else {
+      setError(response.message);
+    }
+    setLoading(false);
+  };
+
+  const loadRevision = async (revisionId: string): Promise<PostRevision | null> => {
+    const cached = revisionCache.current.get(revisionId);
+    if (cached) {
+      return cached;
+    }
+
+    const response = await apiService.getRevision(postId, revisionId);
+    if (!response.success || !response.data) {
+      setError(response.message);
+      return null;
+    }
+    revisionCache.current.set(revisionId, response.data);
+    return response.data;
+  };
+
+  const loadComparison = async (fromRevisionId: string, toRevisionId: string) => {
+    const current = ++comparisonId.current;
+    setError(null);
+    const [fromRevision, toRevision] = await Promise.all([loadRevision(fromRevisionId), loadRevision(toRevisionId)]);
+    if (current !== comparisonId.current) {
+      return;
+    }
+    setFrom(fromRevision);
+    setTo(toRevision);
+  };
+
+  const handleRestore = async (revision: PostRevision) => {
+    if (!window.confirm(`Restore version ${revision.version}? This replaces the current title, content and tags.`)) {
+      return;
+    }
+
+    setRestoring(true);
+    const response = await apiService.restoreRevision(postId, revision.id, currentVersion);
+    if (response.success && response.data) {
+      onRestore(response.data);
+    } else if (response.conflict) {
+      setError('The post was changed in the meantime. Reload it before restoring a revision.');
+    } else {
+      setError(response.message);
+    }
+    setRestoring(false);
+  };
+
+  const formatRevision = (revision: RevisionSummary) =>
+    `v${revision.version} - ${revision.author.name}, ${revision.createdAt.toLocaleString()}`;
+
+  const renderSelect = (label: string, value: string | null, onChange: (id: string) => void) => (
+    <label className="revision-panel__select">
+      {label}
+      <select value={value ?? ''} onChange={(e) => onChange(e.target.value)}>
+        {revisions.map(revision => (
+          <option key={revision.id} value={revision.id}>{formatRevision(revision)}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const renderRestoreButton = (revision: PostRevision | null) =>
+    revision && revision.version !== currentVersion && (
+      <button type="button" disabled={restoring || restoreDisabled} onClick={() => handleRestore(revision)}>
+        Restore v{revision.version}
+      </button>
+    );
+
+  return (
+    <aside className="revision-panel" aria-label="Revision history">
+      <header className="revision-panel__header">
+        <h3>Revision history</h3>
+        <button type="button" onClick={onClose} aria-label="Close revision history">Close</button>
+      </header>
+
+      {loading && <div className="loading">Loading revisions...</div>}
+      {error && <div className="error" role="alert">{error}</div>}
+      {!loading && revisions.length === 0 && <p>No revisions yet.</p>}
+
+      {revisions.length > 0 && (
+        <>
+          <div className="revision-panel__controls">
+            {renderSelect('Compare', fromId, setFromId)}
+            {renderRestoreButton(from)}
+            {renderSelect('with', toId, setToId)}
+            {renderRestoreButton(to)}
+          </div>
+          {restoreDisabled && <span className="revision-panel__hint">Save your changes first to restore a revision</span>}
+
+          {from && to && (
+            <div className="revision-panel__diff">
+              <h4>Title</h4>
+              <DiffView before={from.title} after={to.title} />
+              <h4>Content</h4>
+              <DiffView before={from.content} after={to.content} />
+            </div>
+          )}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default RevisionPanel;
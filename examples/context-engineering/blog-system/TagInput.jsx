@@ -0,0 +1,151 @@
+// Blog System - Tag Input
+// Tag chips with autocomplete from the tag-suggestion endpoint; tags are stored by canonical name
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Tag } from './types';
+import BlogApiService from './api-service';
+import { normalizeTag, normalizeTags, buildAliasMap } from './tags';
+
+interface TagInputProps {
+  id?: string;
+  value: string[];
+  onChange: (tags: string[]) => void;
+  apiService: BlogApiService;
+  invalid?: boolean;
+}
+
+const SUGGEST_DELAY = 200;
+
+const TagInput: React.FC<TagInputProps> = ({ id = 'tag-input', value, onChange, apiService, invalid = false }) => {
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState<Tag[]>([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  // Lookups can finish out of order; only the latest may fill the list
+  const lookupId = useRef(0);
+
+  useEffect(() => {
+    const current = ++lookupId.current;
+    if (!normalizeTag(query)) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      const response = await apiService.suggestTags(query);
+      if (current === lookupId.current) {
+        setSuggestions((response.data ?? []).filter(tag => !value.includes(tag.name)));
+        setHighlighted(-1);
+      }
+    }, SUGGEST_DELAY);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // A typed alias that matches a suggestion ("js") shows as its tag ("javascript") right
+  // away; the service resolves any others when the post is saved
+  const addTags = (raw: string[]) => {
+    onChange(normalizeTags([...value, ...raw], buildAliasMap(suggestions)));
+    setQuery('');
+    setSuggestions([]);
+    setHighlighted(-1);
+  };
+
+  const removeTag = (tag: string) => {
+    onChange(value.filter(existing => existing !== tag));
+  };
+
+  // Typing or pasting a comma completes the tags before it
+  const handleChange = (text: string) => {
+    const parts = text.split(',');
+    if (parts.length > 1) {
+      onChange(normalizeTags([...value, ...parts.slice(0, -1)], buildAliasMap(suggestions)));
+    }
+    setQuery(parts[parts.length - 1]);
+  };
+
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLInputElement>) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setHighlighted(index => Math.min(index + 1, suggestions.length - 1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setHighlighted(index => Math.max(index - 1, -1));
+        break;
+      case 'Enter':
+        if (highlighted >= 0 || query.trim()) {
+          event.preventDefault(); // keep Enter from submitting the form
+          addTags([highlighted >= 0 ? suggestions[highlighted].name : query]);
+        }
+        break;
+      case 'Backspace':
+        if (!query && value.length > 0) {
+          removeTag(value[value.length - 1]);
+        }
+        break;
+      case 'Escape':
+        setSuggestions([]);
+        break;
+    }
+  };
+
+  const listId = `${id}-suggestions`;
+  const open = suggestions.length > 0;
+
+  return (
+    <div className="tag-input">
+      <ul className="tag-input__chips">
+        {value.map(tag => (
+          <li key={tag} className="tag-chip">
+            {tag}
+            <button type="button" aria-label={`Remove tag ${tag}`} onClick={() => removeTag(tag)}>×</button>
+          </li>
+        ))}
+      </ul>
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        autoComplete="off"
+        placeholder={value.length === 0 ? 'Add tags, e.g. react, testing' : ''}
+        value={query}
+        onChange={(e) => handleChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => query.trim() && addTags([query])}
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={highlighted >= 0 ? `${listId}-${highlighted}` : undefined}
+        aria-invalid={invalid}
+      />
+      {open && (
+        <ul id={listId} className="tag-input__suggestions" role="listbox">
+          {suggestions.map((tag, index) => {
+            const alias = tag.aliases.find(candidate => candidate.startsWith(normalizeTag(query)));
+            return (
+              <li
+                key={tag.name}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === highlighted}
+                // mousedown fires before the input's blur, which would add the typed text instead
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTags([tag.name]);
+                }}
+              >
+                <span className="tag-input__name">{tag.name}</span>
+                {alias && !tag.name.startsWith(normalizeTag(query)) && (
+                  <span className="tag-input__alias"> (also "{alias}")</span>
+                )}
+                <span className="tag-input__count">{tag.postCount}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
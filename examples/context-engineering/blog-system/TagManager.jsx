@@ -0,0 +1,127 @@
+// Blog System - Tag Manager
+// Lists tags with their post counts; admins can merge duplicates into one canonical tag
+
+import React, { useState, useEffect } from 'react';
+import { Tag, UserRole } from './types';
+import BlogApiService from './api-service';
+
+interface TagManagerProps {
+  role: UserRole;
+}
+
+const TagManager: React.FC<TagManagerProps> = ({ role }) => {
+  const [tags, setTags] = useState<Tag[]>([]);
+  const [selected, setSelected] = useState<string[]>([]);
+  const [target, setTarget] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const apiService = new BlogApiService();
+  const isAdmin = role === 'admin';
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  const loadTags = async () => {
+    setLoading(true);
+    const response = await apiService.getTags();
+
+    if (response.success && response.data) {
+      setTags(response.data);
+    } else {
+      setError(response.message);
+    }
+    setLoading(false);
+  };
+
+  const toggleSelected = (name: string) => {
+    if (selected.includes(name)) {
+      setSelected(prev => prev.filter(tag => tag !== name));
+      // The tag to keep must be one of the selected tags
+      setTarget(prev => prev === name ? '' : prev);
+    } else {
+      setSelected(prev => [...prev, name]);
+    }
+  };
+
+  const handleMerge = async (event: React.FormEvent) => {
+    event.preventDefault();
+    const sources = selected.filter(tag => tag !== target);
+    const retagged = tags.filter(tag => sources.includes(tag.name)).reduce((sum, tag) => sum + tag.postCount, 0);
+    if (!window.confirm(`Merge ${sources.join(', ')} into "${target}"? This retags up to ${retagged} post(s).`)) {
+      return;
+    }
+
+    setMerging(true);
+    setError(null);
+    const response = await apiService.mergeTags(sources, target, role);
+
+    if (response.success && response.data) {
+      setNotice(`${response.message} - ${response.data.retaggedPosts} post(s) retagged`);
+      setSelected([]);
+      setTarget('');
+      await loadTags();
+    } else {
+      setError(response.fieldErrors?.[0]?.message ?? response.message);
+    }
+    setMerging(false);
+  };
+
+  if (loading && tags.length === 0) {
+    return <div className="loading">Loading tags...</div>;
+  }
+
+  return (
+    <section className="tag-manager">
+      <h2>Tags</h2>
+      {error && <div className="error" role="alert">{error}</div>}
+      {notice && <div className="banner banner--info" role="status">{notice}</div>}
+
+      <table className="tag-manager__table">
+        <thead>
+          <tr>
+            {isAdmin && <th><span className="visually-hidden">Select</span></th>}
+            <th>Tag</th>
+            <th>Aliases</th>
+            <th>Posts</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tags.map(tag => (
+            <tr key={tag.name}>
+              {isAdmin && (
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label={`Select ${tag.name}`}
+                    checked={selected.includes(tag.name)}
+                    onChange={() => toggleSelected(tag.name)}
+                  />
+                </td>
+              )}
+              <td>{tag.name}</td>
+              <td>{tag.aliases.join(', ')}</td>
+              <td>{tag.postCount}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {isAdmin && selected.length > 1 && (
+        <form className="tag-manager__merge" onSubmit={handleMerge}>
+          <label htmlFor="merge-target">Merge selected tags into</label>
+          <select id="merge-target" value={target} onChange={(e) => setTarget(e.target.value)}>
+            <option value="" disabled>Choose the tag to keep</option>
+            {selected.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <button type="submit" disabled={merging || !target}>{merging ? 'Merging...' : 'Merge'}</button>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default TagManager;
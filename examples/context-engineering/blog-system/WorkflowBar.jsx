@@ -0,0 +1,123 @@
+// Blog System - Workflow Bar
+// Shows a post's workflow state and the actions the current user can take from it
+
+import React, { useState } from 'react';
+import { Post, UserRole } from './types';
+import BlogApiService, { ApiResponse } from './api-service';
+import { WorkflowAction, TRANSITIONS, STATUS_LABELS, availableActions } from './workflow';
+
+interface WorkflowBarProps {
+  post: Post;
+  role: UserRole;
+  apiService: BlogApiService;
+  // Transitions act on the saved post, so they wait until edits are saved
+  disabled?: boolean;
+  onChange: (post: Post) => void;
+}
+
+const WorkflowBar: React.FC<WorkflowBarProps> = ({ post, role, apiService, disabled = false, onChange }) => {
+  // reject and schedule ask for a comment / time before they are sent
+  const [pendingAction, setPendingAction] = useState<'reject' | 'schedule' | null>(null);
+  const [comment, setComment] = useState('');
+  const [scheduledFor, setScheduledFor] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const runAction = async (action: WorkflowAction) => {
+    switch (action) {
+      case 'submit':
+        return apiService.submitForReview(post, role);
+      case 'approve':
+        return apiService.approvePost(post, role);
+      case 'reject':
+        return apiService.rejectPost(post, role, comment);
+      case 'schedule':
+        return apiService.schedulePost(post, role, new Date(scheduledFor));
+      case 'unschedule':
+        return apiService.unschedulePost(post, role);
+      case 'publish':
+        return apiService.publishPost(post, role);
+      case 'archive':
+        return apiService.archivePost(post, role);
+    }
+  };
+
+  const handleAction = async (action: WorkflowAction) => {
+    if ((action === 'reject' || action === 'schedule') && pendingAction !== action) {
+      setPendingAction(action);
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    const response: ApiResponse<Post> = await runAction(action);
+
+    if (response.success && response.data) {
+      setPendingAction(null);
+      setComment('');
+      setScheduledFor('');
+      onChange(response.data);
+    } else if (response.conflict) {
+      setError('The post was changed in the meantime. Reload it and try again.');
+    } else {
+      setError(response.fieldErrors?.[0]?.message ?? response.message);
+    }
+    setBusy(false);
+  };
+
+  const actions = availableActions(post.status, role);
+
+  return (
+    <div className="workflow-bar">
+      <span className={`status-badge status-badge--${post.status}`}>{STATUS_LABELS[post.status]}</span>
+      {post.status === 'scheduled' && post.scheduledFor && (
+        <span className="workflow-bar__schedule">Publishes {post.scheduledFor.toLocaleString()}</span>
+      )}
+      {post.status === 'draft' && post.reviewComment && (
+        <div className="review-comment" role="note">Changes requested: {post.reviewComment}</div>
+      )}
+
+      <div className="workflow-bar__actions">
+        {actions.map(action => (
+          <button
+            key={action}
+            type="button"
+            disabled={disabled || busy}
+            aria-pressed={pendingAction === action}
+            onClick={() => handleAction(action)}
+          >
+            {TRANSITIONS[action].label}
+          </button>
+        ))}
+        {disabled && actions.length > 0 && <span className="workflow-bar__hint">Save your changes first</span>}
+      </div>
+
+      {pendingAction === 'reject' && (
+        <div className="workflow-bar__form">
+          <label htmlFor="review-comment">What should the author change?</label>
+          <textarea id="review-comment" rows={3} value={comment} onChange={(e) => setComment(e.target.value)} />
+          <button type="button" disabled={busy} onClick={() => handleAction('reject')}>Send back to author</button>
+          <button type="button" onClick={() => setPendingAction(null)}>Cancel</button>
+        </div>
+      )}
+
+      {pendingAction === 'schedule' && (
+        <div className="workflow-bar__form">
+          <label htmlFor="scheduled-for">Publish at</label>
+          <input
+            id="scheduled-for"
+            type="datetime-local"
+            value={scheduledFor}
+            onChange={(e) => setScheduledFor(e.target.value)}
+          />
+          <button type="button" disabled={busy || !scheduledFor} onClick={() => handleAction('schedule')}>Schedule</button>
+          <button type="button" onClick={() => setPendingAction(null)}>Cancel</button>
+        </div>
+      )}
+
+      {error && <div className="error" role="alert">{error}</div>}
+    </div>
+  );
+};
+
+export default WorkflowBar;
@@ -1,7 +1,46 @@
 // Blog System - API Service
 // Handles all API interactions for blog posts following our standard patterns
 
-import { Post, CreatePostData, UpdatePostData } from './types';
+import {
+  Post,
+  PostStatus,
+  UserRole,
+  Tag,
+  CreatePostData,
+  UpdatePostData,
+  DraftData,
+  PostDraft,
+  RevisionSummary,
+  PostRevision
+} from './types';
+import { Paginator, PaginateOptions } from './pagination';
+import { WorkflowAction, TRANSITIONS, STATUS_LABELS } from './workflow';
+import { slugify, withSuffix } from './slug';
+import { normalizeTag, normalizeTags, buildAliasMap } from './tags';
+import {
+  Schema,
+  ValidationIssue,
+  assertValid,
+  formatIssue,
+  array,
+  boolean,
+  nullable,
+  number,
+  object,
+  string,
+  postSchema,
+  tagSchema,
+  postDraftSchema,
+  revisionSummarySchema,
+  postRevisionSchema,
+  postListSchema,
+  createPostDataSchema,
+  updatePostDataSchema
+} from './schemas';
+
+// Sends a request and resolves with the response; defaults to fetch and is
+// swapped for a mock transport in tests
+type Transport = (url: string, init?: RequestInit) => Promise<Response>;
 
 // Standard API response format used throughout our application
 interface ApiResponse<T> {
@@ -9,64 +48,580 @@ interface ApiResponse<T> {
   data: T | null;
   message: string;
   errors: string[];
+  // Set when the payload failed schema validation, one entry per invalid field
+  fieldErrors?: ValidationIssue[];
+  // Set when a versioned save lost a race; `current` is the server's copy
+  // (null if the server did not send it)
+  conflict?: { current: T | null };
+  // Set by getPostBySlug when the slug was an old one: the post's current slug
+  redirectTo?: string;
+}
+
+interface PostSearchParams {
+  query?: string;
+  tags?: string[]; // posts must carry every tag
+  authorId?: string;
+  status?: PostStatus;
+  page?: number;
+  limit?: number;
+}
+
+// Workflow actions that need no extra input (reject asks for a comment, schedule for a time)
+type BulkWorkflowAction = Exclude<WorkflowAction, 'reject' | 'schedule'>;
+
+// Bulk changes are applied per post; failures don't roll back the others
+interface BulkStatusResult {
+  updated: Post[];
+  failed: { id: string; message: string }[];
+}
+
+const bulkStatusResultSchema: Schema<BulkStatusResult> = object({
+  updated: postListSchema,
+  failed: array(object({ id: string(), message: string() }))
+});
+
+// A tag page: the (canonical) tag and one page of its posts
+interface TagPage {
+  tag: Tag;
+  posts: Post[];
+}
+
+const tagPageSchema: Schema<TagPage> = object({
+  tag: tagSchema,
+  posts: postListSchema
+});
+
+interface TagMergeResult {
+  tag: Tag;
+  retaggedPosts: number;
+}
+
+const tagMergeResultSchema: Schema<TagMergeResult> = object({
+  tag: tagSchema,
+  retaggedPosts: number()
+});
+
+// How many numbered variants (my-post-2, my-post-3, ...) generateSlug tries
+const MAX_SLUG_ATTEMPTS = 20;
+
+interface RequestOptions<T> {
+  method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+  headers?: Record<string, string>;
+  body?: unknown;
+  // Picks the payload out of the response body, e.g. (body) => body.posts
+  select?: (body: any) => unknown;
+  // Validates the payload; without one the payload is passed through as is
+  schema?: Schema<T>;
+  successMessage: string;
+  failureMessage: string;
 }
 
 class BlogApiService {
   private baseUrl = '/api/v1/posts';
+  private tagsUrl = '/api/v1/tags';
+
+  constructor(private transport: Transport = (url, init) => fetch(url, init)) {}
 
   async getPosts(page = 1, limit = 10): Promise<ApiResponse<Post[]>> {
+    return this.request(`${this.baseUrl}?page=${page}&limit=${limit}`, {
+      select: (body) => body.posts,
+      schema: postListSchema,
+      successMessage: 'Posts retrieved successfully',
+      failureMessage: 'Failed to retrieve posts'
+    });
+  }
+
+  // Walks every post across pages, prefetching the next page:
+  //   for await (const post of apiService.paginatePosts()) { ... }
+  // `paginator.total` holds the total count once the first page has loaded
+  paginatePosts(limit = 10, options: PaginateOptions<Post> = {}): Paginator<Post> {
+    return new Paginator<Post>(this.baseUrl, {
+      pageSize: limit,
+      getItems: (body) => assertValid(postListSchema, body.posts, 'posts'),
+      ...options
+    }, this.transport);
+  }
+
+  async getPost(id: string): Promise<ApiResponse<Post>> {
+    return this.request(`${this.baseUrl}/${id}`, {
+      schema: postSchema,
+      successMessage: 'Post retrieved successfully',
+      failureMessage: 'Failed to retrieve post'
+    });
+  }
+
+  // Old slugs of a post keep resolving to it; the response then carries
+  // `redirectTo` so pages can redirect (301) to the post's current URL
+  async getPostBySlug(slug: string): Promise<ApiResponse<Post>> {
+    const response = await this.request(`${this.baseUrl}/by-slug/${encodeURIComponent(slug)}`, {
+      schema: postSchema,
+      successMessage: 'Post retrieved successfully',
+      failureMessage: 'Failed to retrieve post'
+    });
+
+    if (response.success && response.data && response.data.slug !== slug) {
+      return { ...response, redirectTo: response.data.slug };
+    }
+    return response;
+  }
+
+  // A slug is taken while any other post uses it, either as its current slug or as a redirect
+  async isSlugAvailable(slug: string, excludePostId?: string): Promise<ApiResponse<boolean>> {
+    return this.request(`${this.baseUrl}/slugs/${encodeURIComponent(slug)}`, {
+      select: (body) => body.postId === null || body.postId === excludePostId,
+      schema: boolean(),
+      successMessage: 'Slug checked',
+      failureMessage: 'Failed to check slug availability'
+    });
+  }
+
+  // The slugified title, or the first free numbered variant of it (-2, -3, ...)
+  async generateSlug(title: string, excludePostId?: string): Promise<ApiResponse<string>> {
+    const base = slugify(title) || 'post';
+
+    for (let attempt = 1; attempt <= MAX_SLUG_ATTEMPTS; attempt++) {
+      const candidate = attempt === 1 ? base : withSuffix(base, attempt);
+      const available = await this.isSlugAvailable(candidate, excludePostId);
+      if (!available.success) {
+        return this.failed(available);
+      }
+      if (available.data) {
+        return { success: true, data: candidate, message: 'Slug generated', errors: [] };
+      }
+    }
+
+    return this.invalid(
+      [{ path: 'slug', message: `"${base}" and its numbered variants are all taken, please enter a slug` }],
+      'Could not generate a slug'
+    );
+  }
+
+  // Full-text search; tag, author and status filters narrow the results
+  async searchPosts(params: PostSearchParams): Promise<ApiResponse<Post[]>> {
+    const query = new URLSearchParams();
+    if (params.query) {
+      query.set('q', params.query);
+    }
+    (params.tags ?? []).forEach(tag => query.append('tags', tag));
+    if (params.authorId) {
+      query.set('authorId', params.authorId);
+    }
+    if (params.status) {
+      query.set('status', params.status);
+    }
+    query.set('page', String(params.page ?? 1));
+    query.set('limit', String(params.limit ?? 10));
+
+    return this.request(`${this.baseUrl}/search?${query}`, {
+      select: (body) => body.posts,
+      schema: postListSchema,
+      successMessage: 'Search completed successfully',
+      failureMessage: 'Failed to search posts'
+    });
+  }
+
+  async createPost(data: CreatePostData): Promise<ApiResponse<Post>> {
+    const input = createPostDataSchema.parse(data);
+    if (!input.success) {
+      return this.invalid(input.issues, 'Please fix the highlighted fields');
+    }
+    if (input.data.tags) {
+      input.data.tags = await this.canonicalTags(input.data.tags);
+    }
+
+    // Slugs the author picked are used as is; only generated ones get a suffix
+    const slug = input.data.slug
+      ? await this.checkSlug(input.data.slug)
+      : await this.generateSlug(input.data.title);
+    if (!slug.success) {
+      return this.failed(slug);
+    }
+
+    return this.request(this.baseUrl, {
+      method: 'POST',
+      body: { ...input.data, slug: slug.data },
+      schema: postSchema,
+      successMessage: 'Post created successfully',
+      failureMessage: 'Failed to create post'
+    });
+  }
+
+  // Partial update: only the fields present in `data` are changed. The status
+  // is not one of them; it only changes through the workflow actions below.
+  // With data.version the save is conditional (If-Match); if someone else saved
+  // first the response carries `conflict` with their version of the post.
+  // A new slug with data.redirectFrom keeps the old URL working as a redirect.
+  async updatePost(id: string, data: UpdatePostData): Promise<ApiResponse<Post>> {
+    const input = updatePostDataSchema.parse(data);
+    if (!input.success) {
+      return this.invalid(input.issues, 'Please fix the highlighted fields');
+    }
+    if (input.data.tags) {
+      input.data.tags = await this.canonicalTags(input.data.tags);
+    }
+    if (input.data.slug !== undefined) {
+      const slug = await this.checkSlug(input.data.slug, id);
+      if (!slug.success) {
+        return this.failed(slug);
+      }
+    }
+
+    const { version, ...changes } = input.data;
+    return this.request(`${this.baseUrl}/${id}`, {
+      method: 'PATCH',
+      headers: version !== undefined ? { 'If-Match': `"${version}"` } : undefined,
+      body: changes,
+      schema: postSchema,
+      successMessage: 'Post updated successfully',
+      failureMessage: 'Failed to update post'
+    });
+  }
+
+  async deletePost(id: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`${this.baseUrl}/${id}`, {
+      method: 'DELETE',
+      select: () => null,
+      successMessage: 'Post deleted successfully',
+      failureMessage: 'Failed to delete post'
+    });
+  }
+
+  // Editorial workflow (see workflow.ts). Transitions are checked here before
+  // anything is sent - the server enforces the same rules - and are guarded
+  // by the post's version like any other save.
+  async submitForReview(post: Post, role: UserRole): Promise<ApiResponse<Post>> {
+    return this.transition(post, 'submit', role);
+  }
+
+  async approvePost(post: Post, role: UserRole): Promise<ApiResponse<Post>> {
+    return this.transition(post, 'approve', role);
+  }
+
+  // Sends the post back to its author as a draft; the comment is shown in the editor
+  async rejectPost(post: Post, role: UserRole, comment: string): Promise<ApiResponse<Post>> {
+    if (!comment.trim()) {
+      return this.invalid([{ path: 'comment', message: 'Tell the author what to change' }], 'A comment is required');
+    }
+    return this.transition(post, 'reject', role, { comment: comment.trim() });
+  }
+
+  async schedulePost(post: Post, role: UserRole, scheduledFor: Date): Promise<ApiResponse<Post>> {
+    if (Number.isNaN(scheduledFor.getTime()) || scheduledFor.getTime() <= Date.now()) {
+      return this.invalid([{ path: 'scheduledFor', message: 'Pick a time in the future' }], 'Invalid publish time');
+    }
+    return this.transition(post, 'schedule', role, { scheduledFor: scheduledFor.toISOString() });
+  }
+
+  async unschedulePost(post: Post, role: UserRole): Promise<ApiResponse<Post>> {
+    return this.transition(post, 'unschedule', role);
+  }
+
+  // Publishing sets publishedAt on the server
+  async publishPost(post: Post, role: UserRole): Promise<ApiResponse<Post>> {
+    return this.transition(post, 'publish', role);
+  }
+
+  async archivePost(post: Post, role: UserRole): Promise<ApiResponse<Post>> {
+    return this.transition(post, 'archive', role);
+  }
+
+  // Each move is checked like a single transition before anything is sent, and
+  // each post's version goes along so posts changed since they were listed fail
+  async bulkUpdateStatus(posts: Post[], action: BulkWorkflowAction, role: UserRole): Promise<ApiResponse<BulkStatusResult>> {
+    if (posts.length === 0) {
+      return this.invalid([{ path: 'posts', message: 'Select at least one post' }], 'No posts selected');
+    }
+    const issues = posts
+      .map((post, index) => this.transitionIssue(post, action, role, `posts[${index}]`))
+      .filter((issue): issue is ValidationIssue => issue !== null);
+    if (issues.length > 0) {
+      return this.invalid(issues, 'This action is not allowed for every selected post');
+    }
+
+    return this.request(`${this.baseUrl}/bulk/${action}`, {
+      method: 'POST',
+      body: { posts: posts.map(({ id, version }) => ({ id, version })) },
+      schema: bulkStatusResultSchema,
+      successMessage: `Updated ${posts.length} post(s)`,
+      failureMessage: 'Failed to update posts'
+    });
+  }
+
+  // Every tag with the number of posts carrying it, most used first
+  async getTags(): Promise<ApiResponse<Tag[]>> {
+    return this.request(this.tagsUrl, {
+      select: (body) => body.tags,
+      schema: array(tagSchema),
+      successMessage: 'Tags retrieved successfully',
+      failureMessage: 'Failed to retrieve tags'
+    });
+  }
+
+  // Autocomplete: tags whose name or one of its aliases starts with `query`
+  async suggestTags(query: string, limit = 8): Promise<ApiResponse<Tag[]>> {
+    const prefix = normalizeTag(query);
+    if (!prefix) {
+      return { success: true, data: [], message: 'No suggestions', errors: [] };
+    }
+
+    const params = new URLSearchParams({ q: prefix, limit: String(limit) });
+    return this.request(`${this.tagsUrl}/suggest?${params}`, {
+      select: (body) => body.tags,
+      schema: array(tagSchema),
+      successMessage: 'Tag suggestions retrieved',
+      failureMessage: 'Failed to retrieve tag suggestions'
+    });
+  }
+
+  // An alias resolves to its canonical tag; like old post slugs, the response
+  // then carries `redirectTo` so the page can redirect to the canonical URL
+  async getTagPage(name: string, page = 1, limit = 10): Promise<ApiResponse<TagPage>> {
+    const tag = normalizeTag(name);
+    const response = await this.request(`${this.tagsUrl}/${encodeURIComponent(tag)}?page=${page}&limit=${limit}`, {
+      schema: tagPageSchema,
+      successMessage: 'Tag retrieved successfully',
+      failureMessage: 'Failed to retrieve tag'
+    });
+
+    if (response.success && response.data && response.data.tag.name !== tag) {
+      return { ...response, redirectTo: response.data.tag.name };
+    }
+    return response;
+  }
+
+  // Admin only. Folds `sources` into `target`: the server retags every post
+  // carrying a source tag and keeps each source as an alias of the target.
+  async mergeTags(sources: string[], target: string, role: UserRole): Promise<ApiResponse<TagMergeResult>> {
+    if (role !== 'admin') {
+      return this.invalid([{ path: 'role', message: 'Only admins can merge tags' }], 'This action is not allowed');
+    }
+
+    const into = normalizeTag(target);
+    const merged = normalizeTags(sources).filter(tag => tag !== into);
+    if (!into || merged.length === 0) {
+      return this.invalid([{ path: 'sources', message: 'Pick at least one other tag to merge' }], 'Nothing to merge');
+    }
+
+    return this.request(`${this.tagsUrl}/merge`, {
+      method: 'POST',
+      body: { sources: merged, target: into },
+      schema: tagMergeResultSchema,
+      successMessage: `Merged ${merged.length} tag(s) into "${into}"`,
+      failureMessage: 'Failed to merge tags'
+    });
+  }
+
+  // Server-side drafts hold autosaved edits without changing the post itself;
+  // the server drops a post's draft when the post is saved
+  async getDraft(id: string): Promise<ApiResponse<PostDraft | null>> {
+    return this.request(`${this.baseUrl}/${id}/draft`, {
+      schema: nullable(postDraftSchema), // 204 when there is no draft
+      successMessage: 'Draft retrieved successfully',
+      failureMessage: 'Failed to retrieve draft'
+    });
+  }
+
+  async saveDraft(id: string, draft: DraftData): Promise<ApiResponse<PostDraft>> {
+    return this.request(`${this.baseUrl}/${id}/draft`, {
+      method: 'PUT',
+      body: draft,
+      schema: postDraftSchema,
+      successMessage: 'Draft saved',
+      failureMessage: 'Failed to save draft'
+    });
+  }
+
+  async discardDraft(id: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`${this.baseUrl}/${id}/draft`, {
+      method: 'DELETE',
+      select: () => null,
+      successMessage: 'Draft discarded',
+      failureMessage: 'Failed to discard draft'
+    });
+  }
+
+  // Newest first
+  async getRevisions(postId: string): Promise<ApiResponse<RevisionSummary[]>> {
+    return this.request(`${this.baseUrl}/${postId}/revisions`, {
+      select: (body) => body.revisions,
+      schema: array(revisionSummarySchema),
+      successMessage: 'Revisions retrieved successfully',
+      failureMessage: 'Failed to retrieve revisions'
+    });
+  }
+
+  async getRevision(postId: string, revisionId: string): Promise<ApiResponse<PostRevision>> {
+    return this.request(`${this.baseUrl}/${postId}/revisions/${revisionId}`, {
+      schema: postRevisionSchema,
+      successMessage: 'Revision retrieved successfully',
+      failureMessage: 'Failed to retrieve revision'
+    });
+  }
+
+  // Rolls the post back to a revision; this is a save like any other, so it
+  // creates a new revision and is guarded by the current version (If-Match)
+  async restoreRevision(postId: string, revisionId: string, version: number): Promise<ApiResponse<Post>> {
+    return this.request(`${this.baseUrl}/${postId}/revisions/${revisionId}/restore`, {
+      method: 'POST',
+      headers: { 'If-Match': `"${version}"` },
+      schema: postSchema,
+      successMessage: 'Revision restored successfully',
+      failureMessage: 'Failed to restore revision'
+    });
+  }
+
+  // Shared by every endpoint: sends the request, parses and validates the
+  // payload, and turns any failure into an ApiResponse instead of throwing
+  private async request<T>(url: string, options: RequestOptions<T>): Promise<ApiResponse<T>> {
+    const method = options.method ?? 'GET';
+
     try {
-      const response = await fetch(`${this.baseUrl}?page=${page}&limit=${limit}`);
+      const response = await this.transport(url, {
+        method,
+        headers: {
+          ...(options.body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...options.headers
+        },
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+      });
+      if ((response.status === 409 || response.status === 412) && options.headers?.['If-Match']) {
+        return this.conflicted(response, options);
+      }
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
-      
-      const data = await response.json();
+
+      // 204 No Content (e.g. DELETE) has no body to parse
+      const text = await response.text();
+      const body = text ? JSON.parse(text) : null;
+      const payload = options.select ? options.select(body) : body;
+
+      if (options.schema) {
+        return this.validated(options.schema, payload, '', options.successMessage);
+      }
       return {
         success: true,
-        data: data.posts,
-        message: 'Posts retrieved successfully',
+        data: payload as T,
+        message: options.successMessage,
         errors: []
       };
     } catch (error) {
-      console.error('Failed to fetch posts:', error);
+      console.error(`${method} ${url} failed:`, error);
       return {
         success: false,
         data: null,
-        message: 'Failed to retrieve posts',
+        message: options.failureMessage,
         errors: [error instanceof Error ? error.message : 'Unknown error']
       };
     }
   }
 
-  async getPost(id: string): Promise<ApiResponse<Post>> {
+  // Resolves aliases against every known tag, not just the suggestions the
+  // editor happened to load. Without the tag list they are still normalized.
+  private async canonicalTags(tags: string[]): Promise<string[]> {
+    const known = await this.getTags();
+    return normalizeTags(tags, buildAliasMap(known.data ?? []));
+  }
+
+  private async checkSlug(slug: string, excludePostId?: string): Promise<ApiResponse<string>> {
+    const available = await this.isSlugAvailable(slug, excludePostId);
+    if (!available.success) {
+      return this.failed(available);
+    }
+    if (!available.data) {
+      return this.invalid([{ path: 'slug', message: 'This slug is already used by another post' }], 'Please fix the highlighted fields');
+    }
+    return { success: true, data: slug, message: 'Slug is available', errors: [] };
+  }
+
+  private transitionIssue(post: Post, action: WorkflowAction, role: UserRole, path = 'status'): ValidationIssue | null {
+    const { from, roles, label } = TRANSITIONS[action];
+    if (!roles.includes(role)) {
+      return { path, message: `${label} is not available to the ${role} role` };
+    }
+    if (!from.includes(post.status)) {
+      return { path, message: `${label} is not possible while the post is ${STATUS_LABELS[post.status].toLowerCase()}` };
+    }
+    return null;
+  }
+
+  private async transition(post: Post, action: WorkflowAction, role: UserRole, body?: object): Promise<ApiResponse<Post>> {
+    const issue = this.transitionIssue(post, action, role);
+    if (issue) {
+      return this.invalid([issue], 'This action is not allowed');
+    }
+
+    const { label, successMessage } = TRANSITIONS[action];
+
+    return this.request(`${this.baseUrl}/${post.id}/${action}`, {
+      method: 'POST',
+      headers: { 'If-Match': `"${post.version}"` },
+      body,
+      schema: postSchema,
+      successMessage,
+      failureMessage: `${label} failed`
+    });
+  }
+
+  // Validates and coerces a response payload (dates are revived) before it
+  // reaches the UI; invalid payloads become a failed response listing each field
+  private validated<T>(schema: Schema<T>, payload: unknown, path: string, message: string): ApiResponse<T> {
+    const result = schema.parse(payload, path);
+    if (!result.success) {
+      console.error('Invalid response payload:', result.issues);
+      return this.invalid(result.issues, 'Received an invalid response from the server');
+    }
+
+    return {
+      success: true,
+      data: result.data,
+      message,
+      errors: []
+    };
+  }
+
+  // 412 Precondition Failed (or 409) on an If-Match request: the server's
+  // current copy comes back as the body or as body.current
+  private async conflicted<T>(response: Response, options: RequestOptions<T>): Promise<ApiResponse<T>> {
+    let current: T | null = null;
     try {
-      const response = await fetch(`${this.baseUrl}/${id}`);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const post = await response.json();
-      return {
-        success: true,
-        data: post,
-        message: 'Post retrieved successfully',
-        errors: []
-      };
+      const body = await response.json();
+      const result = options.schema?.parse(body?.current ?? body);
+      current = result?.success ? result.data : null;
     } catch (error) {
-      console.error('Failed to fetch post:', error);
-      return {
-        success: false,
-        data: null,
-        message: 'Failed to retrieve post',
-        errors: [error instanceof Error ? error.message : 'Unknown error']
-      };
+      current = null;
     }
+
+    return {
+      success: false,
+      data: null,
+      message: 'This post was changed by someone else while you were editing',
+      errors: [`HTTP ${response.status}: ${response.statusText}`],
+      conflict: { current }
+    };
   }
 
-  // Try adding createPost, updatePost, and deletePost methods
-  // Notice how Copilot will follow the same pattern established above
+  // Re-types a failed response so it can be returned from another endpoint
+  private failed<T>(response: ApiResponse<unknown>): ApiResponse<T> {
+    return {
+      success: false,
+      data: null,
+      message: response.message,
+      errors: response.errors,
+      fieldErrors: response.fieldErrors
+    };
+  }
 
+  private invalid<T>(issues: ValidationIssue[], message: string): ApiResponse<T> {
+    return {
+      success: false,
+      data: null,
+      message,
+      errors: issues.map(formatIssue),
+      fieldErrors: issues
+    };
+  }
 }
 
-export default BlogApiService;
\ No newline at end of file
+export default BlogApiService;
+export { ApiResponse, Transport, PostSearchParams, BulkWorkflowAction, BulkStatusResult, TagPage, TagMergeResult };
@@ -0,0 +1,91 @@
+// Blog System - Word Diff
+// Word-level diff between two revisions of a text, for the revision history panel
+
+type DiffType = 'equal' | 'added' | 'removed';
+
+interface DiffPart {
+  type: DiffType;
+  text: string;
+}
+
+// The LCS table is quadratic and built on the main thread. Above this many
+// token pairs the changed middle is diffed line by line instead, and if that is
+// still too big it is shown as one replacement.
+const MAX_LCS_CELLS = 250000;
+
+// Words and the whitespace between them, so joining the parts restores the text
+const tokenize = (text: string): string[] => text.match(/\s+|[^\s]+/g) ?? [];
+
+// Lines with their trailing newline, for the same reason
+const tokenizeLines = (text: string): string[] => text.match(/[^\n]*\n|[^\n]+/g) ?? [];
+
+// Adjacent parts of the same type are merged to keep the markup small
+const pushPart = (parts: DiffPart[], type: DiffType, text: string) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else if (text) {
+    parts.push({ type, text });
+  }
+};
+
+const diffTokens = (before: string[], after: string[], parts: DiffPart[], byLine = false) => {
+  if (before.length * after.length > MAX_LCS_CELLS) {
+    if (byLine) {
+      pushPart(parts, 'removed', before.join(''));
+      pushPart(parts, 'added', after.join(''));
+    } else {
+      diffTokens(tokenizeLines(before.join('')), tokenizeLines(after.join('')), parts, true);
+    }
+    return;
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths: number[][] = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      pushPart(parts, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, 'removed', before[i++]);
+    } else {
+      pushPart(parts, 'added', after[j++]);
+    }
+  }
+  before.slice(i).forEach(token => pushPart(parts, 'removed', token));
+  after.slice(j).forEach(token => pushPart(parts, 'added', token));
+};
+
+const diffWords = (before: string, after: string): DiffPart[] => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Unchanged head and tail are common in edits and cheap to skip
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+
+  const parts: DiffPart[] = [];
+  pushPart(parts, 'equal', a.slice(0, start).join(''));
+  diffTokens(a.slice(start, a.length - end), b.slice(start, b.length - end), parts);
+  pushPart(parts, 'equal', a.slice(a.length - end).join(''));
+  return parts;
+};
+
+export { diffWords, DiffPart, DiffType };
@@ -0,0 +1,209 @@
+// Blog System - Images
+// Client-side crop and resize for featured images, upload via uploadFileSecure, and alt-text prompts
+
+import { FocalPoint, FeaturedImageMeta } from './types';
+
+// uploadFileSecure comes from examples/troubleshooting/error-handling-fixes.js,
+// which is loaded as a plain script. It validates type and size, reports
+// progress and deletes half-finished uploads when anything fails.
+interface UploadOptions {
+  allowedTypes?: string[];
+  maxSize?: number;
+  metadata?: object;
+  timeout?: number;
+  onProgress?: (percent: number, loaded: number, total: number) => void;
+  onAbort?: (abort: () => void) => void;
+}
+
+interface UploadResult {
+  success: true;
+  fileId: string;
+  url: string;
+  fileName: string;
+  fileSize: number;
+}
+
+declare global {
+  function uploadFileSecure(file: File, options?: UploadOptions): Promise<UploadResult>;
+}
+
+type AspectRatio = 'original' | '16:9' | '3:2' | '4:3' | '1:1';
+
+const ASPECT_RATIOS: Record<AspectRatio, number | null> = {
+  original: null,
+  '16:9': 16 / 9,
+  '3:2': 3 / 2,
+  '4:3': 4 / 3,
+  '1:1': 1
+};
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // before resizing
+const MAX_IMAGE_WIDTH = 2400;
+const OUTPUT_QUALITY = 0.85;
+const MAX_ALT_LENGTH = 125;
+
+interface CropRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface ProcessedImage {
+  file: File;
+  width: number;
+  height: number;
+  focalPoint: FocalPoint; // relative to the cropped image
+}
+
+const clamp = (value: number, min: number, max: number) => Math.min(Math.max(value, min), max);
+
+// The largest `ratio` crop that fits the image, centred on the focal point
+// as far as the edges allow
+const cropRect = (width: number, height: number, ratio: number | null, focalPoint: FocalPoint): CropRect => {
+  if (!ratio) {
+    return { x: 0, y: 0, width, height };
+  }
+
+  const cropWidth = Math.min(width, height * ratio);
+  const cropHeight = cropWidth / ratio;
+  return {
+    x: Math.round(clamp(focalPoint.x * width - cropWidth / 2, 0, width - cropWidth)),
+    y: Math.round(clamp(focalPoint.y * height - cropHeight / 2, 0, height - cropHeight)),
+    width: Math.round(cropWidth),
+    height: Math.round(cropHeight)
+  };
+};
+
+const loadImage = (file: Blob): Promise<HTMLImageElement> =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The file could not be read as an image'));
+    };
+    image.src = url;
+  });
+
+// Crops to the aspect ratio and scales down to MAX_IMAGE_WIDTH. Re-encoding
+// through a canvas also drops EXIF data such as GPS coordinates.
+const processImage = async (
+  source: File,
+  image: HTMLImageElement,
+  aspectRatio: AspectRatio,
+  focalPoint: FocalPoint
+): Promise<ProcessedImage> => {
+  const crop = cropRect(image.naturalWidth, image.naturalHeight, ASPECT_RATIOS[aspectRatio], focalPoint);
+  const scale = Math.min(1, MAX_IMAGE_WIDTH / crop.width);
+  const width = Math.round(crop.width * scale);
+  const height = Math.round(crop.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    throw new Error('Image processing is not supported in this browser');
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+
+  const type = IMAGE_TYPES.includes(source.type) ? source.type : 'image/jpeg';
+  const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, type, OUTPUT_QUALITY));
+  if (!blob) {
+    throw new Error('The image could not be processed');
+  }
+
+  const round = (value: number) => Math.round(clamp(value, 0, 1) * 1000) / 1000;
+  return {
+    file: new File([blob], source.name, { type }),
+    width,
+    height,
+    focalPoint: {
+      x: round((focalPoint.x * image.naturalWidth - crop.x) / crop.width),
+      y: round((focalPoint.y * image.naturalHeight - crop.y) / crop.height)
+    }
+  };
+};
+
+const uploadFeaturedImage = async (
+  processed: ProcessedImage,
+  alt: string,
+  options: Pick<UploadOptions, 'onProgress' | 'onAbort'> = {}
+): Promise<{ url: string; meta: FeaturedImageMeta }> => {
+  const meta: FeaturedImageMeta = {
+    alt,
+    width: processed.width,
+    height: processed.height,
+    focalPoint: processed.focalPoint
+  };
+  const result = await uploadFileSecure(processed.file, {
+    allowedTypes: IMAGE_TYPES,
+    maxSize: MAX_UPLOAD_SIZE,
+    metadata: meta,
+    ...options
+  });
+  return { url: result.url, meta };
+};
+
+// A starting point from descriptive file names ("team-offsite-lisbon.jpg");
+// camera names like IMG_1234.jpg give nothing
+const altTextFromFileName = (fileName: string): string => {
+  const words = fileName
+    .replace(/\.[^.]+$/, '')
+    .split(/[\s_.-]+/)
+    .filter(word => /[a-z]/i.test(word) && !/\d{3,}/.test(word))
+    .filter(word => !/^(img|dsc|dscn|pxl|screenshot|image|photo|copy|final|edit(ed)?)$/i.test(word));
+  const text = words.join(' ').toLowerCase();
+  return text && text[0].toUpperCase() + text.slice(1);
+};
+
+// Questions shown next to the alt-text field to help authors describe the image
+const altTextPrompts = (postTitle: string): string[] => [
+  ...(postTitle.trim() ? [`What does the image show that matters for "${postTitle.trim()}"?`] : []),
+  'Who or what is in it, and what are they doing?',
+  'Is there text in the image that readers need? Include it.'
+];
+
+const altTextWarnings = (alt: string, fileName: string): string[] => {
+  const text = alt.trim();
+  if (!text) {
+    return ['Add alt text so screen reader users know what the image shows'];
+  }
+
+  const warnings: string[] = [];
+  if (/^(an? )?(image|picture|photo|graphic) of\b/i.test(text)) {
+    warnings.push('Screen readers already announce an image - start with what it shows');
+  }
+  if (text.length > MAX_ALT_LENGTH) {
+    warnings.push(`Keep it under ${MAX_ALT_LENGTH} characters; longer descriptions belong in the post`);
+  }
+  if (text.toLowerCase() === fileName.toLowerCase()) {
+    warnings.push('A file name is not a description');
+  }
+  return warnings;
+};
+
+export {
+  AspectRatio,
+  ASPECT_RATIOS,
+  IMAGE_TYPES,
+  MAX_UPLOAD_SIZE,
+  CropRect,
+  ProcessedImage,
+  UploadOptions,
+  UploadResult,
+  cropRect,
+  loadImage,
+  processImage,
+  uploadFeaturedImage,
+  altTextFromFileName,
+  altTextPrompts,
+  altTextWarnings
+};
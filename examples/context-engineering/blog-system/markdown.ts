@@ -0,0 +1,199 @@
+// Blog System - Markdown
+// Small Markdown renderer for post content (headings, emphasis, links, images,
+// lists, blockquotes, fenced code blocks and tables); output is always sanitized
+
+import { ContentFormat } from './types';
+import { sanitizeHtml } from './sanitize';
+
+const escapeHtml = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Link targets may contain one level of balanced parentheses, e.g. wiki URLs
+const LINK_URL = '((?:[^()\\s]|\\([^()\\s]*\\))+)';
+
+const renderInline = (text: string): string => {
+  // Code spans are set aside first so nothing inside them is formatted
+  const codeSpans: string[] = [];
+  const withPlaceholders = text.replace(/`([^`]+)`/g, (_, code: string) => {
+    codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  return escapeHtml(withPlaceholders)
+    .replace(new RegExp(`!\\[([^\\]]*)\\]\\(${LINK_URL}(?:\\s+&quot;(.*?)&quot;)?\\)`, 'g'), (_, alt: string, src: string, title?: string) =>
+      `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''}>`
+    )
+    .replace(new RegExp(`\\[([^\\]]+)\\]\\(${LINK_URL}\\)`, 'g'), '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a?: string, b?: string) => `<strong>${a ?? b}</strong>`)
+    .replace(/\*(.+?)\*|\b_(.+?)_\b/g, (_, a?: string, b?: string) => `<em>${a ?? b}</em>`)
+    .replace(/~~(.+?)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br>\n')
+    .replace(/\u0000(\d+)\u0000/g, (_, index: string) => codeSpans[Number(index)]);
+};
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HTML_BLOCK = /^\s*<\/?[a-zA-Z][\w-]*[\s/>]/;
+
+const splitRow = (line: string): string[] =>
+  line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+const isTableStart = (lines: string[], index: number): boolean =>
+  lines[index].includes('|') && index + 1 < lines.length && TABLE_DIVIDER.test(lines[index + 1]);
+
+const startsBlock = (lines: string[], index: number): boolean => {
+  const line = lines[index];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || /^\s*>/.test(line) ||
+    LIST_ITEM.test(line) || isTableStart(lines, index);
+};
+
+const renderTable = (lines: string[]): string => {
+  const alignments = splitRow(lines[1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) {
+      return 'center';
+    }
+    return cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null;
+  });
+  const renderRow = (line: string, tag: 'th' | 'td') =>
+    `<tr>${splitRow(line).map((cell, index) => {
+      const align = alignments[index] ? ` align="${alignments[index]}"` : '';
+      return `<${tag}${align}>${renderInline(cell)}</${tag}>`;
+    }).join('')}</tr>`;
+
+  const body = lines.slice(2).map(line => renderRow(line, 'td')).join('');
+  return `<table><thead>${renderRow(lines[0], 'th')}</thead>${body ? `<tbody>${body}</tbody>` : ''}</table>`;
+};
+
+// Consecutive items of one list; indented lines belong to the item above
+// them and are rendered recursively, which gives nested lists
+const renderList = (lines: string[], start: number): { html: string; next: number } => {
+  const first = lines[start].match(LIST_ITEM)!;
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items: string[][] = [];
+  let index = start;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const item = line.match(LIST_ITEM);
+    if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+      items.push([item[3]]);
+    } else if (line.trim() && (line.search(/\S/) > indent || !startsBlock(lines, index)) && !(item && item[1].length < indent)) {
+      items[items.length - 1].push(line.slice(Math.min(indent + 2, line.search(/\S/))));
+    } else if (!line.trim() && index + 1 < lines.length && lines[index + 1].search(/\S/) > indent) {
+      items[items.length - 1].push('');
+    } else {
+      break;
+    }
+    index++;
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttribute = ordered && parseInt(first[2], 10) !== 1 ? ` start="${parseInt(first[2], 10)}"` : '';
+  const html = items.map(item => {
+    const nested = item.length > 1 && item.slice(1).some(line => startsBlock([line], 0) || line === '');
+    return `<li>${nested ? renderMarkdown(item.join('\n')) : renderInline(item.join('\n'))}</li>`;
+  }).join('');
+
+  return { html: `<${tag}${startAttribute}>${html}</${tag}>`, next: index };
+};
+
+// Returns unsanitized HTML; use renderPostContent() for anything shown to users
+const renderMarkdown = (source: string): string => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks: string[] = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code: string[] = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        code.push(lines[index++]);
+      }
+      index++; // closing fence
+      const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+      blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push('<hr>');
+      index++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted: string[] = [];
+      while (index < lines.length && lines[index].trim() && (/^\s*>/.test(lines[index]) || !startsBlock(lines, index))) {
+        quoted.push(lines[index++].replace(/^\s*> ?/, ''));
+      }
+      blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    if (isTableStart(lines, index)) {
+      const rows: string[] = [];
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+        rows.push(lines[index++]);
+      }
+      blocks.push(renderTable(rows));
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, index);
+      blocks.push(list.html);
+      index = list.next;
+      continue;
+    }
+
+    // Raw HTML blocks pass through here and are cleaned by the sanitizer
+    if (HTML_BLOCK.test(line)) {
+      const html: string[] = [];
+      while (index < lines.length && lines[index].trim()) {
+        html.push(lines[index++]);
+      }
+      blocks.push(html.join('\n'));
+      continue;
+    }
+
+    const paragraph: string[] = [];
+    while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !startsBlock(lines, index))) {
+      paragraph.push(lines[index++]);
+    }
+    blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+  }
+
+  return blocks.join('\n');
+};
+
+// Safe HTML for a post body in either format
+const renderPostContent = (content: string, format: ContentFormat = 'markdown'): string =>
+  sanitizeHtml(format === 'markdown' ? renderMarkdown(content) : content);
+
+export { renderMarkdown, renderPostContent, escapeHtml };
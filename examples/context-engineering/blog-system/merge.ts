@@ -0,0 +1,68 @@
+// Blog System - Three-Way Merge
+// Combines two concurrent edits of a post against the version both started from
+
+import { Post } from './types';
+
+type MergeablePost = Pick<Post, 'title' | 'content' | 'tags'>;
+type MergeField = keyof MergeablePost;
+
+interface FieldMerge<T> {
+  base: T;
+  yours: T;
+  theirs: T;
+  // Best automatic result; for conflicts this is "yours" until the user decides
+  merged: T;
+  conflict: boolean;
+}
+
+interface MergeResult {
+  title: FieldMerge<string>;
+  content: FieldMerge<string>;
+  tags: FieldMerge<string[]>;
+  hasConflicts: boolean;
+}
+
+const sameTags = (a: string[], b: string[]): boolean =>
+  a.length === b.length && a.every(tag => b.includes(tag));
+
+// True when two edits of a post differ in nothing the merge cares about
+const sameEdits = (a: MergeablePost, b: MergeablePost): boolean =>
+  a.title === b.title && a.content === b.content && sameTags(a.tags, b.tags);
+
+// A field only conflicts when both sides changed it, and changed it differently
+const mergeText = (base: string, yours: string, theirs: string): FieldMerge<string> => {
+  if (yours === theirs || theirs === base) {
+    return { base, yours, theirs, merged: yours, conflict: false };
+  }
+  if (yours === base) {
+    return { base, yours, theirs, merged: theirs, conflict: false };
+  }
+  return { base, yours, theirs, merged: yours, conflict: true };
+};
+
+// Tags merge as sets: additions and removals from both sides are applied.
+// That always succeeds, but edits on both sides are flagged for review.
+const mergeTags = (base: string[], yours: string[], theirs: string[]): FieldMerge<string[]> => {
+  const removed = base.filter(tag => !yours.includes(tag) || !theirs.includes(tag));
+  const merged = [...base, ...yours, ...theirs]
+    .filter((tag, index, all) => all.indexOf(tag) === index)
+    .filter(tag => !removed.includes(tag));
+
+  const bothChanged = !sameTags(yours, base) && !sameTags(theirs, base) && !sameTags(yours, theirs);
+  return { base, yours, theirs, merged, conflict: bothChanged };
+};
+
+const threeWayMerge = (base: MergeablePost, yours: MergeablePost, theirs: MergeablePost): MergeResult => {
+  const title = mergeText(base.title, yours.title, theirs.title);
+  const content = mergeText(base.content, yours.content, theirs.content);
+  const tags = mergeTags(base.tags, yours.tags, theirs.tags);
+
+  return {
+    title,
+    content,
+    tags,
+    hasConflicts: title.conflict || content.conflict || tags.conflict
+  };
+};
+
+export { threeWayMerge, sameEdits, MergeResult, FieldMerge, MergeField, MergeablePost };
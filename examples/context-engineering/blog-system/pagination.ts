@@ -0,0 +1,169 @@
+// Blog System - Pagination
+// Shared pagination layer for list endpoints: page/limit, cursor and Link header styles
+
+type PaginationStyle = 'page' | 'cursor' | 'link';
+
+interface PaginateOptions<T> {
+  style?: PaginationStyle;
+  pageSize?: number;
+  startPage?: number;
+  prefetch?: boolean;
+  // Pull the items, total count and next cursor out of a response body
+  getItems?: (body: any) => T[];
+  getTotal?: (body: any, response: Response) => number | null;
+  getNextCursor?: (body: any) => string | null;
+}
+
+interface PageResult<T> {
+  items: T[];
+  pageNumber: number;
+  nextUrl: string | null;
+}
+
+// Parses '<https://api/posts?page=2>; rel="next", <...>; rel="last"' into { next, last }
+const parseLinkHeader = (header: string | null): Record<string, string> => {
+  const links: Record<string, string> = {};
+  if (!header) {
+    return links;
+  }
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      match[2].split(/\s+/).forEach(rel => {
+        links[rel] = match[1];
+      });
+    }
+  });
+
+  return links;
+};
+
+const withQuery = (url: string, params: Record<string, string | number>): string => {
+  const query = Object.entries(params)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+// Usage:
+//   for await (const post of new Paginator<Post>('/api/v1/posts')) { ... }
+//   for await (const page of paginator.pages()) { ... }
+class Paginator<T> implements AsyncIterable<T> {
+  // Set once a page reports it (X-Total-Count header or `total` in the body)
+  total: number | null = null;
+
+  private style: PaginationStyle;
+  private pageSize: number;
+  private startPage: number;
+  private prefetch: boolean;
+  private getItems: (body: any) => T[];
+  private getTotal: (body: any, response: Response) => number | null;
+  private getNextCursor: (body: any) => string | null;
+
+  constructor(
+    private url: string,
+    options: PaginateOptions<T> = {},
+    private fetchPage: (url: string) => Promise<Response> = (pageUrl) => fetch(pageUrl)
+  ) {
+    this.style = options.style ?? 'page';
+    this.pageSize = options.pageSize ?? 10;
+    this.startPage = options.startPage ?? 1;
+    this.prefetch = options.prefetch ?? true;
+    this.getItems = options.getItems ?? ((body) => (Array.isArray(body) ? body : body?.items ?? []));
+    this.getNextCursor = options.getNextCursor ?? ((body) => body?.nextCursor ?? null);
+    this.getTotal = options.getTotal ?? ((body, response) => {
+      const header = response.headers.get('X-Total-Count');
+      if (header) {
+        return parseInt(header, 10);
+      }
+      return typeof body?.total === 'number' ? body.total : null;
+    });
+  }
+
+  async *pages(): AsyncGenerator<T[]> {
+    let pending: Promise<PageResult<T>> | null = this.loadPage(this.firstUrl(), this.startPage);
+
+    while (pending) {
+      const page: PageResult<T> = await pending;
+      const nextUrl = page.nextUrl;
+      const loadNext = nextUrl ? () => this.loadPage(nextUrl, page.pageNumber + 1) : null;
+      pending = null;
+
+      // With prefetch the next page loads while this one is consumed
+      if (loadNext && this.prefetch) {
+        pending = loadNext();
+        pending.catch(() => undefined); // rethrown when awaited on the next iteration
+      }
+
+      yield page.items;
+
+      if (loadNext && !this.prefetch) {
+        pending = loadNext();
+      }
+    }
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<T> {
+    for await (const items of this.pages()) {
+      yield* items;
+    }
+  }
+
+  // Collect items into an array, stopping after `limit` items
+  async toArray(limit = Infinity): Promise<T[]> {
+    const items: T[] = [];
+    for await (const item of this) {
+      items.push(item);
+      if (items.length >= limit) {
+        break;
+      }
+    }
+    return items;
+  }
+
+  private firstUrl(): string {
+    if (this.style === 'page') {
+      return withQuery(this.url, { page: this.startPage, limit: this.pageSize });
+    }
+    if (this.style === 'cursor') {
+      return withQuery(this.url, { limit: this.pageSize });
+    }
+    return this.url;
+  }
+
+  private async loadPage(url: string, pageNumber: number): Promise<PageResult<T>> {
+    const response = await this.fetchPage(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    const items = this.getItems(body) ?? [];
+    const total = this.getTotal(body, response);
+    if (total !== null) {
+      this.total = total;
+    }
+
+    return { items, pageNumber, nextUrl: this.nextUrl(body, response, items, pageNumber) };
+  }
+
+  private nextUrl(body: any, response: Response, items: T[], pageNumber: number): string | null {
+    if (this.style === 'cursor') {
+      const cursor = this.getNextCursor(body);
+      return cursor ? withQuery(this.url, { cursor, limit: this.pageSize }) : null;
+    }
+
+    if (this.style === 'link') {
+      return parseLinkHeader(response.headers.get('Link')).next ?? null;
+    }
+
+    const fetched = (pageNumber - this.startPage + 1) * this.pageSize;
+    if (items.length < this.pageSize || (this.total !== null && fetched >= this.total)) {
+      return null;
+    }
+    return withQuery(this.url, { page: pageNumber + 1, limit: this.pageSize });
+  }
+}
+
+export { Paginator, parseLinkHeader, PaginateOptions, PaginationStyle };
@@ -0,0 +1,102 @@
+// Blog System - HTML Sanitizer
+// Allowlist sanitizer for rendered post content, plus plain-text and excerpt helpers
+
+// Tags that are kept, with the attributes each may carry. Anything else is
+// unwrapped (its text stays) and every other attribute - including all on*
+// event handlers and style - is removed. A Map, so tag names from the content
+// such as "constructor" can't reach Object.prototype.
+const ALLOWED_TAGS = new Map<string, string[]>(Object.entries({
+  p: [], br: [], hr: [], div: [], span: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  strong: [], b: [], em: [], i: [], del: [], s: [], sub: [], sup: [],
+  blockquote: [], pre: [], code: ['class'],
+  ul: [], ol: ['start'], li: [],
+  table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  figure: [], figcaption: []
+}));
+
+// Removed together with their content, which is never meant to be shown as text
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math', 'form'];
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Relative URLs and the schemes above; javascript:, data:, vbscript: etc. are
+// rejected, including obfuscated forms like "java\tscript:"
+const isSafeUrl = (value: string): boolean => {
+  const normalized = value.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1]);
+};
+
+const isAllowedAttribute = (tag: string, name: string, value: string): boolean => {
+  if (!(ALLOWED_TAGS.get(tag) ?? []).includes(name)) {
+    return false;
+  }
+  if (URL_ATTRIBUTES.includes(name)) {
+    return isSafeUrl(value);
+  }
+  if (name === 'class') {
+    return /^language-[\w+-]+$/.test(value); // code block highlighting only
+  }
+  return true;
+};
+
+const sanitizeChildren = (parent: Element) => {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      parent.removeChild(node); // comments, processing instructions
+      return;
+    }
+
+    const element = node as Element;
+    const tag = element.tagName.toLowerCase();
+    if (DROPPED_TAGS.includes(tag)) {
+      element.remove();
+      return;
+    }
+
+    sanitizeChildren(element);
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      element.replaceWith(...Array.from(element.childNodes));
+      return;
+    }
+    Array.from(element.attributes).forEach(attribute => {
+      if (!isAllowedAttribute(tag, attribute.name.toLowerCase(), attribute.value)) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+  });
+};
+
+// DOMParser documents are inert: nothing in them runs or loads while we walk them
+const parseHtml = (html: string): HTMLElement =>
+  new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html').body;
+
+const sanitizeHtml = (html: string): string => {
+  const body = parseHtml(html);
+  sanitizeChildren(body);
+  return body.innerHTML;
+};
+
+const htmlToText = (html: string): string =>
+  (parseHtml(sanitizeHtml(html)).textContent ?? '').replace(/\s+/g, ' ').trim();
+
+// First sentences of the rendered text, cut on a word boundary
+const createExcerpt = (html: string, maxLength = 160): string => {
+  const text = htmlToText(html);
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+export { sanitizeHtml, htmlToText, createExcerpt, isSafeUrl };
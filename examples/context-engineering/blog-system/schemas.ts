@@ -0,0 +1,344 @@
+// Blog System - Schemas
+// Runtime validation for API payloads, typed against the interfaces in types.ts
+
+import { SLUG_PATTERN, MAX_SLUG_LENGTH } from './slug';
+import {
+  Post,
+  PostStatus,
+  ContentFormat,
+  FeaturedImageMeta,
+  Tag,
+  CreatePostData,
+  UpdatePostData,
+  PostDraft,
+  RevisionSummary,
+  PostRevision
+} from './types';
+
+interface ValidationIssue {
+  path: string; // e.g. 'author.email' or 'tags[2]'
+  message: string;
+}
+
+type ParseResult<T> =
+  | { success: true; data: T }
+  | { success: false; issues: ValidationIssue[] };
+
+// parse() validates and coerces (ISO strings become Dates, unknown keys are dropped)
+interface Schema<T> {
+  parse(value: unknown, path?: string): ParseResult<T>;
+}
+
+type Infer<S> = S extends Schema<infer T> ? T : never;
+
+class SchemaValidationError extends Error {
+  constructor(public issues: ValidationIssue[]) {
+    super(`Invalid payload: ${issues.map(formatIssue).join('; ')}`);
+    this.name = 'SchemaValidationError';
+  }
+}
+
+const formatIssue = (issue: ValidationIssue): string => `${issue.path}: ${issue.message}`;
+
+const describe = (value: unknown): string => {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+const fail = <T>(path: string, message: string): ParseResult<T> => ({
+  success: false,
+  issues: [{ path: path || '(root)', message }]
+});
+
+interface StringOptions {
+  minLength?: number;
+  maxLength?: number;
+  pattern?: RegExp;
+  patternMessage?: string;
+}
+
+const string = (options: StringOptions = {}): Schema<string> => ({
+  parse(value, path = '') {
+    if (typeof value !== 'string') {
+      return fail(path, `Expected string, received ${describe(value)}`);
+    }
+    if (options.minLength !== undefined && value.trim().length < options.minLength) {
+      return fail(path, options.minLength === 1 ? 'Must not be empty' : `Must be at least ${options.minLength} characters`);
+    }
+    if (options.maxLength !== undefined && value.length > options.maxLength) {
+      return fail(path, `Must be at most ${options.maxLength} characters`);
+    }
+    if (options.pattern && !options.pattern.test(value)) {
+      return fail(path, options.patternMessage ?? 'Has an invalid format');
+    }
+    return { success: true, data: value };
+  }
+});
+
+const number = (): Schema<number> => ({
+  parse(value, path = '') {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return fail(path, `Expected number, received ${describe(value)}`);
+    }
+    return { success: true, data: value };
+  }
+});
+
+const boolean = (): Schema<boolean> => ({
+  parse(value, path = '') {
+    if (typeof value !== 'boolean') {
+      return fail(path, `Expected boolean, received ${describe(value)}`);
+    }
+    return { success: true, data: value };
+  }
+});
+
+// Accepts Date instances, ISO date strings and timestamps; always yields a Date
+const date = (): Schema<Date> => ({
+  parse(value, path = '') {
+    const revived = value instanceof Date || typeof value === 'string' || typeof value === 'number'
+      ? new Date(value)
+      : null;
+    if (!revived || Number.isNaN(revived.getTime())) {
+      return fail(path, `Expected a date, received ${typeof value === 'string' ? `"${value}"` : describe(value)}`);
+    }
+    return { success: true, data: revived };
+  }
+});
+
+const oneOf = <T extends string>(...values: T[]): Schema<T> => ({
+  parse(value, path = '') {
+    if (!values.includes(value as T)) {
+      return fail(path, `Expected one of ${values.map(v => `'${v}'`).join(', ')}, received ${JSON.stringify(value)}`);
+    }
+    return { success: true, data: value as T };
+  }
+});
+
+const optional = <T>(schema: Schema<T>): Schema<T | undefined> => ({
+  parse(value, path = '') {
+    return value === undefined ? { success: true, data: undefined } : schema.parse(value, path);
+  }
+});
+
+// For fields added after posts were first stored: a missing value becomes `fallback`
+const withDefault = <T>(schema: Schema<T>, fallback: T): Schema<T> => ({
+  parse(value, path = '') {
+    return value === undefined ? { success: true, data: fallback } : schema.parse(value, path);
+  }
+});
+
+const nullable = <T>(schema: Schema<T>): Schema<T | null> => ({
+  parse(value, path = '') {
+    return value === null ? { success: true, data: null } : schema.parse(value, path);
+  }
+});
+
+// Collects the issues of every item instead of stopping at the first one
+const array = <T>(item: Schema<T>): Schema<T[]> => ({
+  parse(value, path = '') {
+    if (!Array.isArray(value)) {
+      return fail(path, `Expected array, received ${describe(value)}`);
+    }
+
+    const data: T[] = [];
+    const issues: ValidationIssue[] = [];
+    value.forEach((entry, index) => {
+      const result = item.parse(entry, `${path}[${index}]`);
+      if (result.success) {
+        data.push(result.data);
+      } else {
+        issues.push(...result.issues);
+      }
+    });
+
+    return issues.length > 0 ? { success: false, issues } : { success: true, data };
+  }
+});
+
+const object = <Shape extends Record<string, Schema<unknown>>>(
+  shape: Shape
+): Schema<{ [K in keyof Shape]: Infer<Shape[K]> }> => ({
+  parse(value, path = '') {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return fail(path, `Expected object, received ${describe(value)}`);
+    }
+
+    const input = value as Record<string, unknown>;
+    const data: Record<string, unknown> = {};
+    const issues: ValidationIssue[] = [];
+    Object.keys(shape).forEach(key => {
+      const result = shape[key].parse(input[key], path ? `${path}.${key}` : key);
+      if (!result.success) {
+        issues.push(...result.issues);
+      } else if (result.data !== undefined) {
+        data[key] = result.data;
+      }
+    });
+
+    return issues.length > 0
+      ? { success: false, issues }
+      : { success: true, data: data as { [K in keyof Shape]: Infer<Shape[K]> } };
+  }
+});
+
+// Throwing variant for callers without an ApiResponse to fill, e.g. paginators
+const assertValid = <T>(schema: Schema<T>, value: unknown, path = ''): T => {
+  const result = schema.parse(value, path);
+  if (!result.success) {
+    throw new SchemaValidationError(result.issues);
+  }
+  return result.data;
+};
+
+// The annotations keep these in sync with types.ts: adding a required field
+// to an interface without adding it here is a compile error.
+const postStatusSchema: Schema<PostStatus> = oneOf('draft', 'in_review', 'scheduled', 'published', 'archived');
+
+const contentFormatSchema: Schema<ContentFormat> = oneOf('markdown', 'html');
+
+const slugSchema: Schema<string> = string({
+  minLength: 1,
+  maxLength: MAX_SLUG_LENGTH,
+  pattern: SLUG_PATTERN,
+  patternMessage: 'Use lowercase letters, numbers and single hyphens'
+});
+
+const featuredImageMetaSchema: Schema<FeaturedImageMeta> = object({
+  alt: string({ maxLength: 250 }),
+  width: number(),
+  height: number(),
+  focalPoint: object({
+    x: number(),
+    y: number()
+  })
+});
+
+const postSchema: Schema<Post> = object({
+  id: string({ minLength: 1 }),
+  title: string(),
+  content: string(),
+  // Posts stored before Markdown support were written as HTML
+  contentFormat: withDefault(contentFormatSchema, 'html'),
+  author: object({
+    id: string({ minLength: 1 }),
+    name: string(),
+    email: string()
+  }),
+  publishedAt: nullable(date()),
+  scheduledFor: withDefault(nullable(date()), null),
+  status: postStatusSchema,
+  reviewComment: optional(string()),
+  tags: array(string()),
+  slug: string(),
+  redirectSlugs: optional(array(string())),
+  excerpt: optional(string()),
+  featuredImage: optional(string()),
+  featuredImageMeta: optional(featuredImageMetaSchema),
+  createdAt: date(),
+  updatedAt: date(),
+  version: withDefault(number(), 0)
+});
+
+const postListSchema: Schema<Post[]> = array(postSchema);
+
+const createPostDataSchema: Schema<CreatePostData> = object({
+  title: string({ minLength: 1, maxLength: 200 }),
+  content: string({ minLength: 1 }),
+  contentFormat: optional(contentFormatSchema),
+  authorId: string({ minLength: 1 }),
+  slug: optional(slugSchema),
+  tags: optional(array(string({ minLength: 1 }))),
+  excerpt: optional(string({ maxLength: 500 })),
+  featuredImage: optional(string()),
+  featuredImageMeta: optional(featuredImageMetaSchema)
+});
+
+const updatePostDataSchema: Schema<UpdatePostData> = object({
+  title: optional(string({ minLength: 1, maxLength: 200 })),
+  content: optional(string({ minLength: 1 })),
+  contentFormat: optional(contentFormatSchema),
+  authorId: optional(string({ minLength: 1 })),
+  slug: optional(slugSchema),
+  tags: optional(array(string({ minLength: 1 }))),
+  excerpt: optional(string({ maxLength: 500 })),
+  featuredImage: optional(nullable(string())),
+  featuredImageMeta: optional(nullable(featuredImageMetaSchema)),
+  redirectFrom: optional(string()),
+  version: optional(number())
+});
+
+const tagSchema: Schema<Tag> = object({
+  name: string({ minLength: 1 }),
+  aliases: array(string()),
+  postCount: number()
+});
+
+const postDraftSchema: Schema<PostDraft> = object({
+  postId: string({ minLength: 1 }),
+  title: string(),
+  content: string(),
+  tags: array(string()),
+  slug: optional(string()),
+  excerpt: optional(string()),
+  contentFormat: optional(contentFormatSchema),
+  featuredImage: optional(nullable(string())),
+  featuredImageMeta: optional(nullable(featuredImageMetaSchema)),
+  baseVersion: optional(number()),
+  savedAt: date()
+});
+
+const revisionSummarySchema: Schema<RevisionSummary> = object({
+  id: string({ minLength: 1 }),
+  version: number(),
+  title: string(),
+  author: object({
+    id: string({ minLength: 1 }),
+    name: string()
+  }),
+  createdAt: date()
+});
+
+const postRevisionSchema: Schema<PostRevision> = object({
+  id: string({ minLength: 1 }),
+  postId: string({ minLength: 1 }),
+  version: number(),
+  title: string(),
+  content: string(),
+  tags: array(string()),
+  author: object({
+    id: string({ minLength: 1 }),
+    name: string()
+  }),
+  createdAt: date()
+});
+
+export {
+  Schema,
+  ParseResult,
+  ValidationIssue,
+  Infer,
+  SchemaValidationError,
+  formatIssue,
+  assertValid,
+  string,
+  number,
+  boolean,
+  date,
+  oneOf,
+  optional,
+  withDefault,
+  nullable,
+  array,
+  object,
+  postSchema,
+  postListSchema,
+  createPostDataSchema,
+  updatePostDataSchema,
+  tagSchema,
+  postDraftSchema,
+  revisionSummarySchema,
+  postRevisionSchema
+};
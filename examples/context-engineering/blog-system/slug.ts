@@ -0,0 +1,73 @@
+// Blog System - Slugs
+// Derives URL slugs from post titles: transliteration, stopword trimming and a length cap
+
+const MAX_SLUG_LENGTH = 60;
+
+// Lowercase letters, digits and single hyphens between them
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Letters that Unicode normalization doesn't reduce to ASCII on its own.
+// Accented Latin letters (é, ñ, ü...) are handled by stripping combining marks.
+const TRANSLITERATIONS: Record<string, string> = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i',
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye', ґ: 'g'
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'for',
+  'with', 'by', 'from', 'as', 'into', 'is', 'are', 'was', 'be'
+]);
+
+interface SlugifyOptions {
+  maxLength?: number;
+  // Off for slugs the user typed themselves, which are kept word for word
+  removeStopwords?: boolean;
+}
+
+const transliterate = (text: string): string =>
+  text
+    .toLowerCase()
+    .normalize('NFC')
+    .replace(/[^\u0000-\u007f]/g, char => TRANSLITERATIONS[char] ?? char)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+// Joins words up to maxLength without cutting one in half (unless the first
+// word alone is too long)
+const capLength = (words: string[], maxLength: number): string => {
+  let slug = '';
+  for (const word of words) {
+    const next = slug ? `${slug}-${word}` : word;
+    if (next.length > maxLength) {
+      return slug || word.slice(0, maxLength);
+    }
+    slug = next;
+  }
+  return slug;
+};
+
+// 'Ünïcode & The Art of Slugs!' -> 'unicode-art-slugs'. Returns '' when
+// nothing usable is left (e.g. a title in a script we don't transliterate).
+const slugify = (text: string, options: SlugifyOptions = {}): string => {
+  const { maxLength = MAX_SLUG_LENGTH, removeStopwords = true } = options;
+  const words = transliterate(text)
+    .replace(/['’]/g, '') // "don't" -> "dont", not "don-t"
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  const kept = removeStopwords ? words.filter(word => !STOPWORDS.has(word)) : words;
+  return capLength(kept.length > 0 ? kept : words, maxLength);
+};
+
+// 'my-post' -> 'my-post-2', shortening the slug so the suffix still fits
+const withSuffix = (slug: string, suffix: number, maxLength = MAX_SLUG_LENGTH): string => {
+  const ending = `-${suffix}`;
+  return `${slug.slice(0, maxLength - ending.length).replace(/-+$/, '')}${ending}`;
+};
+
+const isValidSlug = (slug: string): boolean => SLUG_PATTERN.test(slug) && slug.length <= MAX_SLUG_LENGTH;
+
+export { slugify, withSuffix, isValidSlug, SlugifyOptions, SLUG_PATTERN, MAX_SLUG_LENGTH };
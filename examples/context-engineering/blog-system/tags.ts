@@ -0,0 +1,40 @@
+// Blog System - Tags
+// Canonical tag names, so "JavaScript", "javascript" and "js " end up as one tag
+
+import { Tag } from './types';
+
+const MAX_TAG_LENGTH = 40;
+
+// Lowercase, '#' prefix dropped, whitespace and underscores become hyphens.
+// Characters that carry meaning in tech tags ("c++", "c#", "node.js") are kept.
+const normalizeTag = (raw: string): string =>
+  raw
+    .normalize('NFKC')
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}+#.-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|[-.]+$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+
+// alias -> canonical name, from the aliases each tag carries
+const buildAliasMap = (tags: Tag[]): Map<string, string> => {
+  const aliases = new Map<string, string>();
+  tags.forEach(tag => tag.aliases.forEach(alias => aliases.set(normalizeTag(alias), tag.name)));
+  return aliases;
+};
+
+const canonicalTag = (raw: string, aliases: Map<string, string> = new Map()): string => {
+  const normalized = normalizeTag(raw);
+  return aliases.get(normalized) ?? normalized;
+};
+
+// Normalizes, resolves aliases and drops empties and duplicates, keeping the original order
+const normalizeTags = (tags: string[], aliases?: Map<string, string>): string[] =>
+  tags
+    .map(tag => canonicalTag(tag, aliases))
+    .filter((tag, index, all) => tag && all.indexOf(tag) === index);
+
+export { normalizeTag, normalizeTags, canonicalTag, buildAliasMap, MAX_TAG_LENGTH };
@@ -1,36 +1,135 @@
 // Blog System - Post Interface
 // This file defines the structure for blog posts used throughout the system
 
+type PostStatus = 'draft' | 'in_review' | 'scheduled' | 'published' | 'archived';
+
+type UserRole = 'author' | 'editor' | 'admin';
+
+// How `content` is written; it is always rendered through the sanitizer
+type ContentFormat = 'markdown' | 'html';
+
+// Point of interest in an image as fractions of its width and height (0-1),
+// used as the CSS object-position when the image is cropped for display
+interface FocalPoint {
+  x: number;
+  y: number;
+}
+
+// Stored next to the featured image URL
+interface FeaturedImageMeta {
+  alt: string;
+  width: number;
+  height: number;
+  focalPoint: FocalPoint;
+}
+
 interface Post {
   id: string;
   title: string;
   content: string;
+  contentFormat: ContentFormat;
   author: {
     id: string;
     name: string;
     email: string;
   };
   publishedAt: Date | null;
-  status: 'draft' | 'published' | 'archived';
+  scheduledFor: Date | null; // set while status is 'scheduled'
+  status: PostStatus;
+  reviewComment?: string; // left by the editor who sent the post back
   tags: string[];
   slug: string;
+  // Earlier slugs of the post that still redirect to the current one
+  redirectSlugs?: string[];
+  // Only what the author wrote; where it is blank, one is made from the content (createExcerpt)
   excerpt?: string;
-  featuredImage?: string;
+  featuredImage?: string; // URL
+  featuredImageMeta?: FeaturedImageMeta;
   createdAt: Date;
   updatedAt: Date;
+  // Incremented on every save; also served as the post's ETag
+  version: number;
 }
 
 interface CreatePostData {
   title: string;
   content: string;
+  contentFormat?: ContentFormat; // defaults to 'markdown'
   authorId: string;
+  slug?: string; // generated from the title when omitted
   tags?: string[];
   excerpt?: string;
   featuredImage?: string;
+  featuredImageMeta?: FeaturedImageMeta;
 }
 
-interface UpdatePostData extends Partial<CreatePostData> {
-  status?: 'draft' | 'published' | 'archived';
+interface UpdatePostData extends Omit<Partial<CreatePostData>, 'featuredImage' | 'featuredImageMeta'> {
+  // null removes the featured image
+  featuredImage?: string | null;
+  featuredImageMeta?: FeaturedImageMeta | null;
+  // Old slug to keep as a redirect when `slug` changes (set for published posts)
+  redirectFrom?: string;
+  // The version the edit is based on; the save is rejected if the post has changed since
+  version?: number;
+}
+
+// Tags are stored by their canonical name (see tags.ts); aliases such as
+// "js" for "javascript" resolve to it when posts are tagged
+interface Tag {
+  name: string;
+  aliases: string[];
+  postCount: number;
+}
+
+// Autosaved edits that have not been saved to the post yet
+interface DraftData {
+  title: string;
+  content: string;
+  tags: string[];
+  // Fields outside the merge, present only when the author changed them
+  slug?: string;
+  excerpt?: string;
+  contentFormat?: ContentFormat;
+  featuredImage?: string | null; // null when the image was removed
+  featuredImageMeta?: FeaturedImageMeta | null;
+  baseVersion?: number; // post version the edits started from
+}
+
+interface PostDraft extends DraftData {
+  postId: string;
+  savedAt: Date;
+}
+
+// One saved version of a post; every save creates a revision
+interface RevisionSummary {
+  id: string;
+  version: number;
+  title: string;
+  author: {
+    id: string;
+    name: string;
+  };
+  createdAt: Date;
+}
+
+interface PostRevision extends RevisionSummary {
+  postId: string;
+  content: string;
+  tags: string[];
 }
 
-export { Post, CreatePostData, UpdatePostData };
\ No newline at end of file
+export {
+  Post,
+  PostStatus,
+  UserRole,
+  ContentFormat,
+  FocalPoint,
+  FeaturedImageMeta,
+  Tag,
+  CreatePostData,
+  UpdatePostData,
+  DraftData,
+  PostDraft,
+  RevisionSummary,
+  PostRevision
+};
\ No newline at end of file
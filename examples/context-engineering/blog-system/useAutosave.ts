@@ -0,0 +1,162 @@
+// Blog System - Autosave
+// Debounced draft autosave to local storage and the server, with crash recovery
+
+import { useEffect, useRef, useState } from 'react';
+import { DraftData, PostDraft } from './types';
+import { ApiResponse } from './api-service';
+
+type AutosaveStatus = 'idle' | 'saving' | 'saved' | 'offline' | 'error';
+
+// Local copies keep savedAt as an ISO string (they go through JSON)
+interface LocalDraft extends DraftData {
+  savedAt: string;
+}
+
+interface AutosaveOptions {
+  storageKey: string;
+  draft: DraftData;
+  // Only dirty edits are autosaved, and only they trigger the beforeunload warning
+  dirty: boolean;
+  // Omitted for posts that don't exist on the server yet (local copy only)
+  saveRemote?: (draft: DraftData) => Promise<ApiResponse<PostDraft>>;
+  delay?: number;
+}
+
+const DRAFT_SESSION_KEY = 'post-draft-session';
+
+// New posts have no id yet, so each tab gets its own key; sessionStorage is
+// per tab and survives a reload, which keeps crash recovery working
+const newDraftId = (): string => {
+  try {
+    let id = sessionStorage.getItem(DRAFT_SESSION_KEY);
+    if (!id) {
+      id = `new-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      sessionStorage.setItem(DRAFT_SESSION_KEY, id);
+    }
+    return id;
+  } catch (error) {
+    console.warn('Failed to read draft session:', error);
+    return 'new';
+  }
+};
+
+const draftStorageKey = (postId?: string): string => `post-draft:${postId ?? newDraftId()}`;
+
+const readLocalDraft = (storageKey: string): LocalDraft | null => {
+  try {
+    const raw = localStorage.getItem(storageKey);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Failed to read local draft:', error);
+    return null;
+  }
+};
+
+const writeLocalDraft = (storageKey: string, draft: LocalDraft) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(draft));
+  } catch (error) {
+    console.warn('Failed to write local draft:', error); // quota exceeded, private mode
+  }
+};
+
+const clearLocalDraft = (storageKey: string) => {
+  try {
+    localStorage.removeItem(storageKey);
+  } catch (error) {
+    console.warn('Failed to clear local draft:', error);
+  }
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine;
+
+const useAutosave = ({ storageKey, draft, dirty, saveRemote, delay = 1500 }: AutosaveOptions) => {
+  const [status, setStatus] = useState<AutosaveStatus>('idle');
+  const [lastSavedAt, setLastSavedAt] = useState<Date | null>(null);
+
+  // The debounced save runs after a render; read the newest values through a ref
+  const latest = useRef({ draft, saveRemote });
+  latest.current = { draft, saveRemote };
+  const serializedDraft = JSON.stringify(draft);
+
+  // The local copy is written first so a crash mid-request loses nothing
+  const flush = async () => {
+    const { draft: current, saveRemote: save } = latest.current;
+    const savedAt = new Date();
+    writeLocalDraft(storageKey, { ...current, savedAt: savedAt.toISOString() });
+
+    if (!save) {
+      setStatus('saved');
+      setLastSavedAt(savedAt);
+      return;
+    }
+    if (!isOnline()) {
+      setStatus('offline');
+      return;
+    }
+
+    setStatus('saving');
+    const response = await save(current);
+    if (response.success) {
+      setStatus('saved');
+      setLastSavedAt(response.data?.savedAt ?? savedAt);
+    } else {
+      setStatus(isOnline() ? 'error' : 'offline');
+    }
+  };
+
+  // Every edit restarts the timer
+  useEffect(() => {
+    if (!dirty) {
+      return;
+    }
+    const timer = setTimeout(flush, delay);
+    return () => clearTimeout(timer);
+  }, [storageKey, dirty, serializedDraft]);
+
+  // Show "offline" as soon as the connection drops, and push the local copy
+  // to the server once it is back
+  useEffect(() => {
+    const handleOnline = () => {
+      if (dirty && status === 'offline') {
+        flush();
+      }
+    };
+    const handleOffline = () => {
+      if (dirty) {
+        setStatus('offline');
+      }
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [dirty, status]);
+
+  useEffect(() => {
+    if (!dirty) {
+      return;
+    }
+    const handleBeforeUnload = (event: BeforeUnloadEvent) => {
+      event.preventDefault();
+      event.returnValue = ''; // required by older browsers to show the prompt
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  // Call after the post itself has been saved or the draft discarded
+  const clear = () => {
+    clearLocalDraft(storageKey);
+    setStatus('idle');
+  };
+
+  return { status, lastSavedAt, clear };
+};
+
+export default useAutosave;
+export { AutosaveStatus, LocalDraft, draftStorageKey, readLocalDraft, clearLocalDraft };
@@ -0,0 +1,69 @@
+// Blog System - Editorial Workflow
+// Post states, the transitions between them and who may perform each one
+
+import { PostStatus, UserRole } from './types';
+
+type WorkflowAction = 'submit' | 'approve' | 'reject' | 'schedule' | 'unschedule' | 'publish' | 'archive';
+
+interface Transition {
+  from: PostStatus[];
+  to: PostStatus;
+  roles: UserRole[];
+  label: string;
+  successMessage: string;
+}
+
+const EDITORS: UserRole[] = ['editor', 'admin'];
+
+// Authors write and submit; editors review, schedule and publish.
+// Scheduled posts are published by the server once scheduledFor has passed.
+
+const TRANSITIONS: Record<WorkflowAction, Transition> = {
+  submit: {
+    from: ['draft'], to: 'in_review', roles: ['author', ...EDITORS],
+    label: 'Submit for review', successMessage: 'Post submitted for review'
+  },
+  approve: {
+    from: ['in_review'], to: 'published', roles: EDITORS,
+    label: 'Approve and publish', successMessage: 'Post approved and published'
+  },
+  reject: {
+    from: ['in_review'], to: 'draft', roles: EDITORS,
+    label: 'Request changes', successMessage: 'Post sent back to the author'
+  },
+  schedule: {
+    from: ['draft', 'in_review'], to: 'scheduled', roles: EDITORS,
+    label: 'Schedule', successMessage: 'Post scheduled'
+  },
+  unschedule: {
+    from: ['scheduled'], to: 'in_review', roles: EDITORS,
+    label: 'Unschedule', successMessage: 'Post moved back to review'
+  },
+  publish: {
+    from: ['draft', 'scheduled'], to: 'published', roles: EDITORS,
+    label: 'Publish now', successMessage: 'Post published'
+  },
+  archive: {
+    from: ['published'], to: 'archived', roles: EDITORS,
+    label: 'Archive', successMessage: 'Post archived'
+  }
+};
+
+const STATUS_LABELS: Record<PostStatus, string> = {
+  draft: 'Draft',
+  in_review: 'In review',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+const canTransition = (status: PostStatus, action: WorkflowAction, role: UserRole): boolean => {
+  const transition = TRANSITIONS[action];
+  return transition.from.includes(status) && transition.roles.includes(role);
+};
+
+// The actions to offer for a post in `status` to a user with `role`
+const availableActions = (status: PostStatus, role: UserRole): WorkflowAction[] =>
+  (Object.keys(TRANSITIONS) as WorkflowAction[]).filter(action => canTransition(status, action, role));
+
+export { WorkflowAction, Transition, TRANSITIONS, STATUS_LABELS, canTransition, availableActions };
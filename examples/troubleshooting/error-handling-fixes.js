@@ -31,6 +31,556 @@ async function loginUser(email, password) {
 // - No token validation
 // - No fallback mechanisms
 
+// =======================================
+// SHARED: Typed Errors for HTTP Calls
+// =======================================
+
+// Create an error hierarchy for HTTP calls so retry and circuit breaker
+// logic can check error types instead of matching message text:
+// - Every error carries the request ({ method, url }), response body and attempt number
+// - HttpError exposes the status code, RateLimitError the parsed Retry-After
+// - Network, timeout, circuit-open and offline failures get their own classes;
+//   QueuedOfflineError marks an offline call that was stored in the outbox
+
+class ApiError extends Error {
+    constructor(message, { request = null, body = null, attempt = null, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.request = request;
+        this.body = body;
+        this.attempt = attempt;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+class HttpError extends ApiError {
+    constructor(message, { status, statusText = '', retryAfter = null, ...details } = {}) {
+        super(message, details);
+        this.status = status;
+        this.statusText = statusText;
+        this.retryAfter = retryAfter; // milliseconds, null when the server didn't say
+    }
+
+    get isClientError() {
+        return this.status >= 400 && this.status < 500;
+    }
+
+    get isServerError() {
+        return this.status >= 500;
+    }
+}
+
+class RateLimitError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: 429 });
+    }
+}
+
+class NetworkError extends ApiError {}
+
+class TimeoutError extends ApiError {
+    constructor(message, { timeout = null, ...details } = {}) {
+        super(message, details);
+        this.timeout = timeout;
+    }
+}
+
+class CircuitOpenError extends ApiError {
+    constructor(message, { circuit = null, ...details } = {}) {
+        super(message, details);
+        this.circuit = circuit;
+    }
+}
+
+class OfflineError extends ApiError {}
+
+// Not sent yet: the call was stored in the offline outbox and is replayed
+// once the connection is back (entryId identifies it in outbox.getStatus())
+class QueuedOfflineError extends OfflineError {
+    constructor(message, { entryId = null, idempotencyKey = null, ...details } = {}) {
+        super(message, details);
+        this.entryId = entryId;
+        this.idempotencyKey = idempotencyKey;
+    }
+}
+
+// Cancelled by the caller or by the client (not a timeout); never retried
+class AbortError extends ApiError {}
+
+// Retry-After is either delta-seconds ("120") or an HTTP-date
+// ("Wed, 21 Oct 2015 07:28:00 GMT"). Returns milliseconds to wait, or null.
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const trimmed = String(value).trim();
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10) * 1000;
+    }
+
+    const date = Date.parse(trimmed);
+    if (isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - now);
+}
+
+// Wrap low-level fetch failures in the matching ApiError subclass
+function toApiError(error, { request, attempt, timedOut = false, timeout = null } = {}) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (error.name === 'AbortError' && timedOut) {
+        return new TimeoutError('The request timed out. Please try again.', { request, attempt, timeout, cause: error });
+    }
+    if (error.name === 'AbortError') {
+        return new AbortError('The request was cancelled.', { request, attempt, cause: error });
+    }
+    if (error instanceof TypeError) {
+        return new NetworkError('Network error. Please check your connection and try again.', { request, attempt, cause: error });
+    }
+    return error;
+}
+
+// Combine several AbortSignals (undefined entries are ignored) into one that
+// aborts as soon as any of them does
+function anySignal(signals) {
+    const active = signals.filter(Boolean);
+    if (typeof AbortSignal.any === 'function') {
+        return AbortSignal.any(active);
+    }
+
+    const controller = new AbortController();
+    for (const signal of active) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    return controller.signal;
+}
+
+// Settle with the promise, or reject with AbortError once the signal aborts.
+// onAbort runs when this caller gives up (the promise itself keeps running).
+function raceWithSignal(promise, signal, { request = null, onAbort } = {}) {
+    if (!signal) {
+        return promise;
+    }
+
+    const abortError = () => new AbortError('The request was cancelled.', { request, cause: signal.reason });
+    if (signal.aborted) {
+        onAbort?.();
+        return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+        const handleAbort = () => {
+            onAbort?.();
+            reject(abortError());
+        };
+        signal.addEventListener('abort', handleAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handleAbort));
+    });
+}
+
+// setTimeout as a promise that rejects with AbortError when the signal aborts
+function sleep(ms, signal, request = null) {
+    return raceWithSignal(new Promise(resolve => setTimeout(resolve, ms)), signal, { request });
+}
+
+// =======================================
+// SHARED: Authentication Tokens
+// =======================================
+
+// Create a token manager for access/refresh token pairs:
+// - Refresh proactively when the access token is about to expire
+// - Refresh reactively when a request comes back 401
+// - Concurrent callers wait on one shared refresh call (single flight)
+// - Log out (clear tokens, dispatch auth:logout) only when the refresh itself fails
+// - Keep tokens in a pluggable TokenStore (memory, web storage or cookies)
+
+// Token stores keep the raw token values ('token', 'tokenExpiry', 'refreshToken').
+// Interface: get(key) -> string | null, set(key, value), remove(key),
+// subscribe(listener) -> unsubscribe, where listener(key, value) hears about
+// changes made in other tabs.
+const TOKEN_KEYS = ['token', 'tokenExpiry', 'refreshToken'];
+
+// Base class: listener bookkeeping and optional BroadcastChannel sync.
+// Subclasses implement get(key) and write(key, value) (value null = delete).
+class TokenStore {
+    constructor({ channel } = {}) {
+        this.listeners = new Set();
+        this.channel = channel && typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channel) : null;
+
+        if (this.channel) {
+            this.channel.onmessage = ({ data }) => {
+                this.write(data.key, data.value);
+                this.notify(data.key, data.value);
+            };
+        }
+    }
+
+    set(key, value) {
+        this.write(key, value);
+        this.channel?.postMessage({ key, value });
+    }
+
+    remove(key) {
+        this.write(key, null);
+        this.channel?.postMessage({ key, value: null });
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(key, value) {
+        this.listeners.forEach(listener => listener(key, value));
+    }
+}
+
+// Tokens live only in this JavaScript context; pass { channel: 'auth' } to
+// share them between tabs through BroadcastChannel
+class MemoryTokenStore extends TokenStore {
+    constructor(options = {}) {
+        super(options);
+        this.values = new Map();
+    }
+
+    get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    write(key, value) {
+        if (value === null) {
+            this.values.delete(key);
+        } else {
+            this.values.set(key, value);
+        }
+    }
+}
+
+// localStorage or sessionStorage; other tabs are picked up through storage events
+class WebStorageTokenStore extends TokenStore {
+    constructor(storage = localStorage, options = {}) {
+        super(options);
+        this.storage = storage;
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('storage', (event) => {
+                if (event.storageArea === this.storage && TOKEN_KEYS.includes(event.key)) {
+                    this.notify(event.key, event.newValue);
+                }
+            });
+        }
+    }
+
+    get(key) {
+        try {
+            return this.storage.getItem(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    write(key, value) {
+        if (value === null) {
+            this.storage.removeItem(key);
+        } else {
+            this.storage.setItem(key, value);
+        }
+    }
+}
+
+// Cookie-backed store. With httpOnly: true the server owns the token cookies:
+// tokens are never readable from JavaScript, requests are sent with
+// credentials: 'include', and only the expiry is kept client-side.
+class CookieTokenStore extends TokenStore {
+    constructor({ httpOnly = false, prefix = 'auth_', path = '/', sameSite = 'Strict', secure = true, ...options } = {}) {
+        super(options);
+        this.httpOnly = httpOnly;
+        this.prefix = prefix;
+        this.attributes = `; Path=${path}; SameSite=${sameSite}${secure ? '; Secure' : ''}`;
+    }
+
+    isServerManaged(key) {
+        return this.httpOnly && key !== 'tokenExpiry';
+    }
+
+    get(key) {
+        if (this.isServerManaged(key) || typeof document === 'undefined') {
+            return null;
+        }
+
+        const name = `${this.prefix}${key}=`;
+        const cookie = document.cookie.split('; ').find(part => part.startsWith(name));
+        return cookie ? decodeURIComponent(cookie.slice(name.length)) : null;
+    }
+
+    write(key, value) {
+        if (this.isServerManaged(key) || typeof document === 'undefined') {
+            return;
+        }
+
+        document.cookie = value === null
+            ? `${this.prefix}${key}=${this.attributes}; Max-Age=0`
+            : `${this.prefix}${key}=${encodeURIComponent(value)}${this.attributes}`;
+    }
+}
+
+// localStorage in the browser, memory in Node, SSR and workers
+function createDefaultTokenStore() {
+    try {
+        if (typeof localStorage !== 'undefined') {
+            return new WebStorageTokenStore(localStorage);
+        }
+    } catch (error) {
+        // Accessing localStorage throws when storage is disabled
+    }
+    return new MemoryTokenStore();
+}
+
+// Default refresh call: POST /api/auth/refresh with { refreshToken },
+// expecting { token, refreshToken?, expiresAt? } back
+async function refreshAccessToken(refreshToken) {
+    const request = { method: 'POST', url: '/api/auth/refresh' };
+    let response;
+
+    try {
+        response = await fetch(request.url, {
+            method: 'POST',
+            credentials: 'include', // httpOnly cookie mode sends the refresh token as a cookie
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        });
+    } catch (error) {
+        throw toApiError(error, { request, attempt: 1 });
+    }
+
+    if (!response.ok) {
+        throw new HttpError('Session expired. Please log in again.', {
+            status: response.status,
+            statusText: response.statusText,
+            request,
+            attempt: 1
+        });
+    }
+
+    const data = await response.json();
+    return {
+        accessToken: data.token,
+        refreshToken: data.refreshToken || refreshToken,
+        expiresAt: data.expiresAt
+    };
+}
+
+class TokenManager {
+    constructor({ store, refresh = refreshAccessToken, refreshMargin = 60000, defaultLifetime = 24 * 60 * 60 * 1000 } = {}) {
+        this.store = store || createDefaultTokenStore();
+        this.refreshFn = refresh;
+        this.refreshMargin = refreshMargin;
+        this.defaultLifetime = defaultLifetime;
+        this.refreshing = null;
+        this.sessionListeners = new Set();
+
+        // A logout in another tab logs this tab out too
+        this.store.subscribe?.((key, value) => {
+            if (key === 'token') {
+                this.notifySessionChange();
+            }
+            if (key === 'token' && value === null) {
+                this.dispatchLogout();
+            }
+        });
+    }
+
+    // Tokens are held in httpOnly cookies the browser sends for us
+    get usesCookies() {
+        return Boolean(this.store.httpOnly);
+    }
+
+    setTokens({ accessToken, refreshToken, expiresAt }) {
+        if (!this.usesCookies && (!accessToken || typeof accessToken !== 'string')) {
+            throw new Error('Access token is required');
+        }
+
+        const expiry = expiresAt === undefined || expiresAt === null
+            ? Date.now() + this.defaultLifetime
+            : typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+        const previousToken = this.getAccessToken();
+        const hadSession = this.isAccessTokenValid();
+
+        try {
+            if (accessToken) {
+                this.store.set('token', accessToken);
+            }
+            this.store.set('tokenExpiry', String(expiry));
+            if (refreshToken) {
+                this.store.set('refreshToken', refreshToken);
+            }
+        } catch (storageError) {
+            console.warn('Failed to store authentication token:', storageError);
+        }
+
+        // A new token may belong to another user; in cookie mode only a login is visible
+        if (accessToken ? accessToken !== previousToken : !hadSession) {
+            this.notifySessionChange();
+        }
+    }
+
+    getAccessToken() {
+        return this.store.get('token');
+    }
+
+    getRefreshToken() {
+        return this.store.get('refreshToken');
+    }
+
+    getExpiry() {
+        const expiry = parseInt(this.store.get('tokenExpiry'), 10);
+        return Number.isNaN(expiry) ? null : expiry;
+    }
+
+    isAccessTokenValid() {
+        const expiry = this.getExpiry();
+        const hasToken = this.usesCookies || Boolean(this.getAccessToken());
+        return hasToken && expiry !== null && Date.now() < expiry;
+    }
+
+    // Returns a usable access token, refreshing first when it expires within
+    // refreshMargin. Falls back to the current token if a proactive refresh
+    // fails for a transient reason while the token is still valid.
+    // In httpOnly cookie mode there is no token to return; it still refreshes
+    // proactively and resolves null.
+    async getValidAccessToken() {
+        const expiry = this.getExpiry();
+        const expiresSoon = expiry === null || Date.now() >= expiry - this.refreshMargin;
+
+        if (this.usesCookies) {
+            if (expiry !== null && expiresSoon) {
+                await this.refresh().catch(() => null);
+            }
+            return null;
+        }
+
+        if (this.getAccessToken() && !expiresSoon) {
+            return this.getAccessToken();
+        }
+        if (!this.getRefreshToken()) {
+            return this.isAccessTokenValid() ? this.getAccessToken() : null;
+        }
+
+        try {
+            return await this.refresh();
+        } catch (error) {
+            return this.isAccessTokenValid() ? this.getAccessToken() : null;
+        }
+    }
+
+    // Single flight: every caller during a refresh gets the same promise
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.performRefresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async performRefresh() {
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken && !this.usesCookies) {
+            this.logout();
+            throw new HttpError('Authentication required. Please log in again.', { status: 401 });
+        }
+
+        try {
+            const tokens = await this.refreshFn(refreshToken);
+            this.setTokens(tokens);
+            return tokens.accessToken;
+        } catch (error) {
+            // Network trouble doesn't prove the session is gone; a rejected refresh does
+            if (!(error instanceof NetworkError || error instanceof TimeoutError)) {
+                this.logout();
+            }
+            throw error;
+        }
+    }
+
+    // Called after a 401. Resolves true when the request should be replayed
+    // with a new token, false when the user has been logged out.
+    async handleUnauthorized(usedToken) {
+        // Another request already refreshed while this one was in flight
+        const current = this.getAccessToken();
+        if (current && current !== usedToken && this.isAccessTokenValid()) {
+            return true;
+        }
+
+        try {
+            await this.refresh();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    logout() {
+        this.clear();
+        this.notifySessionChange();
+        this.dispatchLogout();
+    }
+
+    // listener() runs on login, logout and every new access token - whenever
+    // data fetched so far may belong to someone else. Returns an unsubscribe function.
+    onSessionChange(listener) {
+        this.sessionListeners.add(listener);
+        return () => this.sessionListeners.delete(listener);
+    }
+
+    notifySessionChange() {
+        this.sessionListeners.forEach(listener => listener());
+    }
+
+    clear() {
+        TOKEN_KEYS.forEach(key => {
+            try {
+                this.store.remove(key);
+            } catch (error) {
+                console.warn('Failed to remove authentication token:', error);
+            }
+        });
+    }
+
+    dispatchLogout() {
+        // Trigger app-wide logout
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('auth:logout'));
+        }
+    }
+}
+
+// Shared by loginUserSecure and ApiClient unless they are given their own
+const defaultTokenManager = new TokenManager();
+
+// One manager per store: callers passing the same tokenStore share its refresh
+// lock, its store subscription and a single auth:logout event
+const tokenManagersByStore = new WeakMap([[defaultTokenManager.store, defaultTokenManager]]);
+
+function tokenManagerFor(store) {
+    if (!tokenManagersByStore.has(store)) {
+        tokenManagersByStore.set(store, new TokenManager({ store }));
+    }
+    return tokenManagersByStore.get(store);
+}
+
 // =======================================
 // SOLUTION 1: Comprehensive Error Handling Prompts
 // =======================================
@@ -45,8 +595,13 @@ async function loginUser(email, password) {
 // - Implement retry logic for transient failures
 // - Provide user-friendly error messages
 // - Log errors for debugging without exposing sensitive data
+// - Hand the tokens to the token manager that ApiClient uses
+//   (options.tokenManager, or options.tokenStore for the shared manager over that store)
+
+async function loginUserSecure(email, password, options = {}) {
+    const tokenManager = options.tokenManager ||
+        (options.tokenStore ? tokenManagerFor(options.tokenStore) : defaultTokenManager);
 
-async function loginUserSecure(email, password) {
     // Input validation
     if (!email || typeof email !== 'string') {
         throw new Error('Valid email address is required');
@@ -63,36 +618,51 @@ async function loginUserSecure(email, password) {
     
     let lastError;
     const maxRetries = 3;
+    const request = { method: 'POST', url: '/api/login' };
     
     // Retry logic for transient failures
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
             // Network request with timeout
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
-            
-            const response = await fetch('/api/login', {
-                method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({ email: email.toLowerCase().trim(), password }),
-                signal: controller.signal
-            });
+            let timedOut = false;
+            const timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, 10000); // 10s timeout
             
-            clearTimeout(timeoutId);
+            let response;
+            try {
+                response = await fetch('/api/login', {
+                    method: 'POST',
+                    headers: { 
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify({ email: email.toLowerCase().trim(), password }),
+                    signal: controller.signal
+                });
+            } catch (fetchError) {
+                throw toApiError(fetchError, { request, attempt, timedOut, timeout: 10000 });
+            } finally {
+                clearTimeout(timeoutId);
+            }
             
             // Handle different HTTP status codes
             if (!response.ok) {
+                const details = { status: response.status, statusText: response.statusText, request, attempt };
+
                 if (response.status === 401) {
-                    throw new Error('Invalid email or password');
+                    throw new HttpError('Invalid email or password', details);
                 } else if (response.status === 429) {
-                    throw new Error('Too many login attempts. Please try again later');
+                    throw new RateLimitError('Too many login attempts. Please try again later', {
+                        ...details,
+                        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+                    });
                 } else if (response.status >= 500) {
-                    throw new Error('Server error. Please try again later');
+                    throw new HttpError('Server error. Please try again later', details);
                 } else {
-                    throw new Error(`Login failed: ${response.statusText}`);
+                    throw new HttpError(`Login failed: ${response.statusText}`, details);
                 }
             }
             
@@ -123,14 +693,12 @@ async function loginUserSecure(email, password) {
                 throw new Error('Invalid authentication token format');
             }
             
-            // Store token securely
-            try {
-                localStorage.setItem('token', data.token);
-                localStorage.setItem('tokenExpiry', data.expiresAt || (Date.now() + 24 * 60 * 60 * 1000));
-            } catch (storageError) {
-                console.warn('Failed to store authentication token:', storageError);
-                // Continue anyway - user is logged in, just won't persist
-            }
+            // Store tokens (a storage failure only means the session won't persist)
+            tokenManager.setTokens({
+                accessToken: data.token,
+                refreshToken: data.refreshToken,
+                expiresAt: data.expiresAt
+            });
             
             // Log successful login (without sensitive data)
             console.log('User logged in successfully', { 
@@ -155,16 +723,8 @@ async function loginUserSecure(email, password) {
                 attempt
             });
             
-            // Don't retry on authentication errors or client errors
-            if (error.message.includes('Invalid email or password') || 
-                error.message.includes('email') || 
-                error.message.includes('password') ||
-                (error.name === 'TypeError' && error.message.includes('format'))) {
-                break;
-            }
-            
-            // Don't retry on rate limiting
-            if (error.message.includes('Too many login attempts')) {
+            // Don't retry on authentication errors, client errors or rate limiting
+            if (error instanceof HttpError && error.isClientError) {
                 break;
             }
             
@@ -177,7 +737,7 @@ async function loginUserSecure(email, password) {
     }
     
     // All attempts failed
-    throw new Error(lastError?.message || 'Login failed after multiple attempts');
+    throw lastError || new Error('Login failed after multiple attempts');
 }
 
 // =======================================
@@ -188,9 +748,1479 @@ async function loginUserSecure(email, password) {
 // - Network timeouts and retries
 // - HTTP status code handling
 // - Request/response validation
-// - Circuit breaker pattern for failing services
-// - Rate limiting awareness
-// - Offline handling
+// - Circuit breaker pattern for failing services (one breaker per origin or route group)
+// - Optional HTTP response caching for GET requests
+// - Identical concurrent GETs share one fetch; optional batching of item GETs
+// - Cancellation: caller AbortSignal, per-attempt timeout and client-wide abortAll()
+// - Pagination helpers for list endpoints
+// - Swappable transport (fetch by default) for deterministic tests
+// - Request metrics, span callbacks and W3C traceparent propagation
+// - Idempotency-Key on mutating requests, reused across retries; POST and PATCH
+//   without a key are not retried unless the caller opts in
+// - Rate limiting awareness (client-side token bucket, concurrency cap and
+//   priority lanes, per client and per route)
+// - Offline handling (mutating requests can be queued in an outbox and replayed)
+// - Ordered async interceptors (request, response and error phases)
+
+// Retry policies - functions of (attempt, error, previousDelay) returning the
+// delay in milliseconds before the next attempt. Jitter spreads retries from
+// many clients so they don't hit a recovering backend in lockstep.
+// Pass one as `retryPolicy`, or any custom function with the same signature.
+const retryPolicies = {
+    // jitter: 'full' (random between 0 and the backoff), 'decorrelated'
+    // (random between baseDelay and 3x the previous delay) or 'none'
+    exponential({ baseDelay = 1000, maxDelay = 30000, jitter = 'full' } = {}) {
+        return (attempt, error, previousDelay) => {
+            if (jitter === 'decorrelated') {
+                const upper = Math.max(baseDelay, (previousDelay || baseDelay) * 3);
+                return Math.min(maxDelay, baseDelay + Math.random() * (upper - baseDelay));
+            }
+
+            const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+            return jitter === 'full' ? Math.random() * backoff : backoff;
+        };
+    },
+
+    fixed(delay = 1000) {
+        return () => delay;
+    }
+};
+
+// Retry budget shared by all requests of a client: every failed attempt
+// spends a token, every success earns back a fraction of one. Once the
+// bucket drops to half, the client stops retrying until successes refill it,
+// so an outage doesn't multiply traffic by maxRetries.
+class RetryBudget {
+    constructor({ maxTokens = 10, tokenRatio = 0.1 } = {}) {
+        this.maxTokens = maxTokens;
+        this.tokenRatio = tokenRatio;
+        this.tokens = maxTokens;
+    }
+
+    canRetry() {
+        return this.tokens > this.maxTokens / 2;
+    }
+
+    recordFailure() {
+        this.tokens = Math.max(0, this.tokens - 1);
+    }
+
+    recordSuccess() {
+        this.tokens = Math.min(this.maxTokens, this.tokens + this.tokenRatio);
+    }
+}
+
+// Create a circuit breaker for a remote dependency:
+// - closed: requests flow and outcomes are recorded in a rolling time window
+// - open: requests fail fast until resetTimeout has passed
+// - half-open: a limited number of probe requests decide whether to close or re-open
+// - Trip on the failure rate within the window (above a minimum request count),
+//   not on a raw failure count
+// - Optional failureThreshold: also trip after that many failures in a row
+// - Notify listeners on every state change
+
+const CircuitState = Object.freeze({
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+});
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.failureRateThreshold = options.failureRateThreshold ?? 0.5;
+        this.minimumRequests = options.minimumRequests ?? 5;
+        this.windowSize = options.windowSize ?? 60000;
+        this.resetTimeout = options.resetTimeout ?? 60000;
+        this.halfOpenMaxProbes = options.halfOpenMaxProbes ?? 1;
+        this.successThreshold = options.successThreshold ?? 1;
+        this.failureThreshold = options.failureThreshold ?? null;
+
+        this.state = CircuitState.CLOSED;
+        this.openedAt = null;
+        this.outcomes = []; // { time, failed } within the rolling window
+        this.consecutiveFailures = 0;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+        this.listeners = new Set();
+    }
+
+    // Call before sending a request; false means fail fast.
+    // In half-open state a successful call reserves one of the probe slots.
+    tryAcquire() {
+        if (this.state === CircuitState.OPEN) {
+            if (Date.now() - this.openedAt < this.resetTimeout) {
+                return false;
+            }
+            this.transition(CircuitState.HALF_OPEN);
+        }
+
+        if (this.state === CircuitState.HALF_OPEN) {
+            if (this.probesInFlight >= this.halfOpenMaxProbes) {
+                return false;
+            }
+            this.probesInFlight++;
+        }
+
+        return true;
+    }
+
+    recordSuccess() {
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+            this.probeSuccesses++;
+            if (this.probeSuccesses >= this.successThreshold) {
+                this.transition(CircuitState.CLOSED);
+            }
+            return;
+        }
+
+        this.recordOutcome(false);
+    }
+
+    recordFailure() {
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.transition(CircuitState.OPEN);
+            return;
+        }
+
+        this.recordOutcome(true);
+
+        const { total, failureRate } = this.getStats();
+        const rateExceeded = total >= this.minimumRequests && failureRate >= this.failureRateThreshold;
+        const countExceeded = this.failureThreshold !== null && this.consecutiveFailures >= this.failureThreshold;
+        if (this.state === CircuitState.CLOSED && (rateExceeded || countExceeded)) {
+            this.transition(CircuitState.OPEN);
+        }
+    }
+
+    // For outcomes that say nothing about the service's health:
+    // frees a probe slot without counting as success or failure
+    release() {
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+        }
+    }
+
+    recordOutcome(failed) {
+        const now = Date.now();
+        this.outcomes.push({ time: now, failed });
+        this.consecutiveFailures = failed ? this.consecutiveFailures + 1 : 0;
+        this.pruneOutcomes(now);
+    }
+
+    pruneOutcomes(now = Date.now()) {
+        const cutoff = now - this.windowSize;
+        while (this.outcomes.length > 0 && this.outcomes[0].time < cutoff) {
+            this.outcomes.shift();
+        }
+    }
+
+    getStats() {
+        this.pruneOutcomes();
+        const total = this.outcomes.length;
+        const failures = this.outcomes.filter(outcome => outcome.failed).length;
+
+        return {
+            name: this.name,
+            state: this.state,
+            total,
+            failures,
+            failureRate: total === 0 ? 0 : failures / total
+        };
+    }
+
+    // listener({ name, from, to, timestamp }); returns an unsubscribe function
+    onStateChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    transition(to) {
+        const from = this.state;
+        if (from === to) {
+            return;
+        }
+
+        this.state = to;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+        this.consecutiveFailures = 0;
+
+        if (to === CircuitState.OPEN) {
+            this.openedAt = Date.now();
+        } else if (to === CircuitState.CLOSED) {
+            this.openedAt = null;
+            this.outcomes = [];
+        }
+
+        const event = { name: this.name, from, to, timestamp: new Date().toISOString() };
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.warn('Circuit breaker listener failed:', error);
+            }
+        });
+    }
+}
+
+// Create an opt-in HTTP response cache for GET requests:
+// - Pluggable storage: in-memory LRU, localStorage/sessionStorage, or any
+//   object with get/set/delete/clear (a plain Map works as a stand-in in Node tests)
+// - Cleared whenever the session changes (login, logout, new token), so one
+//   user's responses are never served to the next
+// - Respects Cache-Control (no-store, no-cache, max-age)
+// - Revalidates with If-None-Match / If-Modified-Since and handles 304s
+// - Optional stale-while-revalidate: serve the stale copy, refresh in the background
+
+// Parses "max-age=60, no-cache" into { 'max-age': 60, 'no-cache': true }
+function parseCacheControl(header) {
+    const directives = {};
+    if (!header) {
+        return directives;
+    }
+
+    header.split(',').forEach(part => {
+        const [rawName, rawValue] = part.trim().split('=');
+        if (!rawName) {
+            return;
+        }
+        const name = rawName.toLowerCase();
+        const value = rawValue === undefined ? true : parseInt(rawValue.replace(/"/g, ''), 10);
+        directives[name] = Number.isNaN(value) ? true : value;
+    });
+
+    return directives;
+}
+
+// In-memory storage that evicts the least recently used entry
+class LruCacheStorage {
+    constructor({ maxEntries = 100 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+        // Re-insert to mark as most recently used
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// localStorage / sessionStorage backed storage; entries are stored as JSON
+class WebStorageCacheStorage {
+    constructor(storage = localStorage, { prefix = 'api-cache:' } = {}) {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    get(key) {
+        try {
+            const raw = this.storage.getItem(this.prefix + key);
+            return raw ? JSON.parse(raw) : undefined;
+        } catch (error) {
+            console.warn('Failed to read cached response:', error);
+            return undefined;
+        }
+    }
+
+    set(key, entry) {
+        try {
+            this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+        } catch (error) {
+            // Quota exceeded or storage disabled - caching is best effort
+            console.warn('Failed to cache response:', error);
+        }
+    }
+
+    delete(key) {
+        try {
+            this.storage.removeItem(this.prefix + key);
+        } catch (error) {
+            console.warn('Failed to remove cached response:', error);
+        }
+    }
+
+    // Removes only this cache's entries; the rest of the storage is left alone
+    clear() {
+        try {
+            for (let index = this.storage.length - 1; index >= 0; index--) {
+                const key = this.storage.key(index);
+                if (key && key.startsWith(this.prefix)) {
+                    this.storage.removeItem(key);
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to clear cached responses:', error);
+        }
+    }
+}
+
+class ResponseCache {
+    constructor({ storage = new LruCacheStorage(), staleWhileRevalidate = false } = {}) {
+        this.storage = storage;
+        this.staleWhileRevalidate = staleWhileRevalidate;
+    }
+
+    async lookup(key) {
+        return (await this.storage.get(key)) || null;
+    }
+
+    // Store a successful response unless Cache-Control forbids it
+    async store(key, result) {
+        if (!result.response) {
+            return;
+        }
+
+        const headers = result.response.headers;
+        const cacheControl = parseCacheControl(headers.get('Cache-Control'));
+        if (cacheControl['no-store']) {
+            await this.storage.delete(key);
+            return;
+        }
+
+        await this.storage.set(key, {
+            data: result.data,
+            etag: headers.get('ETag'),
+            lastModified: headers.get('Last-Modified'),
+            ...this.freshnessFrom(cacheControl)
+        });
+    }
+
+    // A 304 confirms the cached body; only the freshness information changes
+    async refresh(key, entry, response) {
+        const cacheControl = parseCacheControl(response.headers.get('Cache-Control'));
+        const updated = {
+            ...entry,
+            etag: response.headers.get('ETag') || entry.etag,
+            lastModified: response.headers.get('Last-Modified') || entry.lastModified,
+            ...this.freshnessFrom(cacheControl)
+        };
+        await this.storage.set(key, updated);
+        return updated;
+    }
+
+    async invalidate(key) {
+        await this.storage.delete(key);
+    }
+
+    async clear() {
+        await this.storage.clear();
+    }
+
+    freshnessFrom(cacheControl) {
+        return {
+            storedAt: Date.now(),
+            maxAge: typeof cacheControl['max-age'] === 'number' ? cacheControl['max-age'] : 0,
+            noCache: Boolean(cacheControl['no-cache']),
+            staleWindow: typeof cacheControl['stale-while-revalidate'] === 'number'
+                ? cacheControl['stale-while-revalidate']
+                : null
+        };
+    }
+
+    ageOf(entry) {
+        return (Date.now() - entry.storedAt) / 1000;
+    }
+
+    isFresh(entry) {
+        return !entry.noCache && this.ageOf(entry) < entry.maxAge;
+    }
+
+    // Stale entries may be served while revalidating when the client opted in;
+    // a stale-while-revalidate directive limits how stale
+    canServeStale(entry) {
+        if (!this.staleWhileRevalidate) {
+            return false;
+        }
+        return entry.staleWindow === null || this.ageOf(entry) < entry.maxAge + entry.staleWindow;
+    }
+
+    conditionalHeaders(entry) {
+        const headers = {};
+        if (entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+        return headers;
+    }
+}
+
+// Create a request batcher that collects individual GETs made within the same
+// tick (e.g. get('/users/1'), get('/users/2')) into one call to a batch endpoint:
+// - match: RegExp selecting the endpoints to batch
+// - key(endpoint, match): identifies the item (defaults to the first capture group)
+// - request(keys): builds { endpoint, options } for the batch call
+//   (defaults to GET `${endpoint}?ids=1,2`)
+// - split(data, keys): returns the items in the same order as keys
+//   (defaults to matching array items on their `id`)
+// - Only plain get() calls join a batch: calls with their own headers, retry or
+//   priority settings, and URLs with a cached copy, are sent on their own
+
+class RequestBatcher {
+    constructor(client, options = {}) {
+        if (!(options.match instanceof RegExp)) {
+            throw new Error('Batch match must be a RegExp');
+        }
+        if (!options.endpoint && !options.request) {
+            throw new Error('Batch endpoint or request builder is required');
+        }
+
+        this.client = client;
+        this.match = options.match;
+        this.getKey = options.key || ((endpoint, match) => match[1]);
+        this.buildRequest = options.request || ((keys) => ({
+            endpoint: `${options.endpoint}?ids=${keys.map(encodeURIComponent).join(',')}`,
+            options: {}
+        }));
+        this.split = options.split || ((data, keys) => {
+            const items = Array.isArray(data) ? data : [];
+            return keys.map(key => items.find(item => item && String(item.id) === String(key)));
+        });
+        this.maxBatchSize = options.maxBatchSize || 50;
+        this.delay = options.delay || 0;
+
+        this.queue = new Map(); // key -> [{ resolve, reject }]
+        this.timer = null;
+    }
+
+    // Returns the item key when the endpoint belongs to this batcher
+    keyFor(endpoint) {
+        const match = endpoint.match(this.match);
+        return match ? this.getKey(endpoint, match) : null;
+    }
+
+    load(key) {
+        return new Promise((resolve, reject) => {
+            if (!this.queue.has(key)) {
+                this.queue.set(key, []);
+            }
+            this.queue.get(key).push({ resolve, reject });
+
+            if (this.queue.size >= this.maxBatchSize) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.delay);
+            }
+        });
+    }
+
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const batch = this.queue;
+        this.queue = new Map();
+        const keys = Array.from(batch.keys());
+        if (keys.length === 0) {
+            return;
+        }
+
+        try {
+            const { endpoint, options } = this.buildRequest(keys);
+            const data = await this.client.request(endpoint, { method: 'GET', ...options });
+            const items = this.split(data, keys);
+
+            keys.forEach((key, index) => {
+                const item = items[index];
+                batch.get(key).forEach(({ resolve, reject }) => {
+                    if (item === undefined || item === null) {
+                        reject(new HttpError('The requested resource was not found.', {
+                            status: 404,
+                            request: { method: 'GET', url: `${this.client.baseURL}${endpoint}` },
+                            body: { key }
+                        }));
+                    } else {
+                        resolve(item);
+                    }
+                });
+            });
+        } catch (error) {
+            batch.forEach(waiters => waiters.forEach(({ reject }) => reject(error)));
+        }
+    }
+}
+
+// Create an offline outbox for mutating requests:
+// - POST, PUT, PATCH and DELETE calls made while offline are stored instead of failing
+// - Storage is pluggable: IndexedDB in the browser, in-memory elsewhere
+// - Entries replay in order when connectivity returns, each with an
+//   Idempotency-Key so the server can ignore duplicates
+// - Conflicts (409/412) go to an onConflict callback
+// - Entries are deleted once they replay; the replayed count is kept until clearReplayed()
+// - UI components can subscribe to pending / failed / replayed counts
+
+function createIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Outbox stores are async: getAll() in insertion order, put(entry), delete(id)
+class MemoryOutboxStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async getAll() {
+        return Array.from(this.entries.values()).sort((a, b) => a.sequence - b.sequence);
+    }
+
+    async put(entry) {
+        this.entries.set(entry.id, { ...entry });
+    }
+
+    async delete(id) {
+        this.entries.delete(id);
+    }
+}
+
+class IndexedDbOutboxStore {
+    constructor({ databaseName = 'api-outbox', storeName = 'requests' } = {}) {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const openRequest = indexedDB.open(this.databaseName, 1);
+                openRequest.onupgradeneeded = () => {
+                    openRequest.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                openRequest.onsuccess = () => resolve(openRequest.result);
+                openRequest.onerror = () => reject(openRequest.error);
+            });
+        }
+        return this.database;
+    }
+
+    async run(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getAll() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.sequence - b.sequence);
+    }
+
+    async put(entry) {
+        await this.run('readwrite', store => store.put(entry));
+    }
+
+    async delete(id) {
+        await this.run('readwrite', store => store.delete(id));
+    }
+}
+
+const OutboxStatus = Object.freeze({
+    PENDING: 'pending',
+    FAILED: 'failed',
+    REPLAYED: 'replayed'
+});
+
+class OfflineOutbox {
+    // onConflict(entry, error) may return 'discard' to drop the entry,
+    // { body } to retry once with a new body, or nothing to mark it failed
+    constructor(client, { store, onConflict, autoReplay = true } = {}) {
+        this.client = client;
+        this.store = store || (typeof indexedDB !== 'undefined' ? new IndexedDbOutboxStore() : new MemoryOutboxStore());
+        this.onConflict = onConflict || null;
+        this.listeners = new Set();
+        this.sequence = Date.now();
+        this.replaying = null;
+        this.replayedCount = 0;
+
+        if (autoReplay && typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', () => this.replay());
+        }
+    }
+
+    async enqueue(endpoint, options) {
+        const headers = { ...options.headers };
+        const idempotencyKey = headers['Idempotency-Key'] ||
+            (typeof options.idempotencyKey === 'string' ? options.idempotencyKey : createIdempotencyKey());
+        headers['Idempotency-Key'] = idempotencyKey;
+
+        const entry = {
+            id: createIdempotencyKey(),
+            sequence: this.sequence++,
+            idempotencyKey,
+            method: options.method,
+            endpoint,
+            body: options.body ?? null,
+            headers,
+            status: OutboxStatus.PENDING,
+            attempts: 0,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.store.put(entry);
+        await this.notify();
+
+        return { id: entry.id, idempotencyKey };
+    }
+
+    // Replays pending entries in order; concurrent calls share one run.
+    // Stops at the first connectivity failure so order is preserved.
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.replayPending().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async replayPending() {
+        const entries = await this.store.getAll();
+
+        for (const entry of entries) {
+            if (entry.status !== OutboxStatus.PENDING) {
+                continue;
+            }
+            if (!this.client.isOnline()) {
+                break;
+            }
+
+            const outcome = await this.send(entry);
+            await this.notify();
+            if (outcome === 'offline') {
+                break;
+            }
+        }
+    }
+
+    async send(entry, conflictRetried = false) {
+        entry.attempts++;
+
+        try {
+            await this.client.request(entry.endpoint, {
+                method: entry.method,
+                body: entry.body,
+                headers: entry.headers,
+                priority: RequestPriority.LOW,
+                outbox: false
+            });
+            await this.store.delete(entry.id);
+            this.replayedCount++;
+            return 'replayed';
+        } catch (error) {
+            entry.lastError = error.message;
+
+            if (error instanceof OfflineError || error instanceof NetworkError || error instanceof TimeoutError) {
+                await this.store.put(entry);
+                return 'offline';
+            }
+
+            const isConflict = error instanceof HttpError && (error.status === 409 || error.status === 412);
+            if (isConflict && this.onConflict && !conflictRetried) {
+                const resolution = await this.onConflict({ ...entry }, error);
+                if (resolution === 'discard') {
+                    await this.store.delete(entry.id);
+                    return 'discarded';
+                }
+                if (resolution && resolution.body !== undefined) {
+                    entry.body = typeof resolution.body === 'string' ? resolution.body : JSON.stringify(resolution.body);
+                    return this.send(entry, true);
+                }
+            }
+
+            entry.status = OutboxStatus.FAILED;
+            await this.store.put(entry);
+            return 'failed';
+        }
+    }
+
+    // Put a failed entry back in line and replay
+    async retry(id) {
+        const entry = (await this.store.getAll()).find(item => item.id === id);
+        if (!entry) {
+            throw new Error(`Outbox entry ${id} not found`);
+        }
+        entry.status = OutboxStatus.PENDING;
+        await this.store.put(entry);
+        await this.notify();
+        return this.replay();
+    }
+
+    async remove(id) {
+        await this.store.delete(id);
+        await this.notify();
+    }
+
+    async clearReplayed() {
+        this.replayedCount = 0;
+        // Entries stored as replayed by earlier versions of the outbox
+        const entries = await this.store.getAll();
+        for (const entry of entries) {
+            if (entry.status === OutboxStatus.REPLAYED) {
+                await this.store.delete(entry.id);
+            }
+        }
+        await this.notify();
+    }
+
+    // { pending, failed, replayed, entries }
+    async getStatus() {
+        const entries = await this.store.getAll();
+        const count = (status) => entries.filter(entry => entry.status === status).length;
+
+        return {
+            pending: count(OutboxStatus.PENDING),
+            failed: count(OutboxStatus.FAILED),
+            replayed: this.replayedCount + count(OutboxStatus.REPLAYED),
+            entries
+        };
+    }
+
+    // listener(status) is called after every change; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    async notify() {
+        if (this.listeners.size === 0) {
+            return;
+        }
+        const status = await this.getStatus();
+        this.listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.warn('Outbox listener failed:', error);
+            }
+        });
+    }
+}
+
+// Create a pagination layer for list endpoints:
+// - Supports page/limit (?page=2&limit=20), cursor (?cursor=abc) and
+//   Link header (RFC 5988, rel="next") styles
+// - `for await (const item of client.paginate('/api/v1/posts'))` walks every item;
+//   `paginator.pages()` yields whole pages instead
+// - Prefetches the next page while the current one is being consumed
+// - Exposes the total count once the first page reports it
+//   (X-Total-Count header, or total / totalCount in the body)
+
+// Parses '<https://api/x?page=2>; rel="next", <...>; rel="last"' into { next, last }
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header) {
+        return links;
+    }
+
+    header.split(',').forEach(part => {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+        if (match) {
+            match[2].split(/\s+/).forEach(rel => {
+                links[rel] = match[1];
+            });
+        }
+    });
+
+    return links;
+}
+
+function appendQuery(endpoint, params) {
+    const query = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&');
+
+    if (!query) {
+        return endpoint;
+    }
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}${query}`;
+}
+
+class Paginator {
+    constructor(client, endpoint, options = {}) {
+        if (!['page', 'cursor', 'link'].includes(options.style || 'page')) {
+            throw new Error(`Unknown pagination style: ${options.style}`);
+        }
+
+        this.client = client;
+        this.endpoint = endpoint;
+        this.style = options.style || 'page';
+        this.pageSize = options.pageSize || 20;
+        this.startPage = options.startPage || 1;
+        this.pageParam = options.pageParam || 'page';
+        this.limitParam = options.limitParam || 'limit';
+        this.cursorParam = options.cursorParam || 'cursor';
+        this.prefetch = options.prefetch !== false;
+        this.requestOptions = options.requestOptions || {};
+
+        this.getItems = options.items || ((body) => {
+            if (Array.isArray(body)) {
+                return body;
+            }
+            return body?.items || body?.data || body?.results || [];
+        });
+        this.getNextCursor = options.nextCursor || ((body) => body?.nextCursor ?? body?.next_cursor ?? null);
+        this.getTotal = options.total || ((body, response) => {
+            const header = response?.headers.get('X-Total-Count');
+            if (header !== null && header !== undefined && header !== '') {
+                return parseInt(header, 10);
+            }
+            const total = body?.total ?? body?.totalCount ?? body?.meta?.total;
+            return typeof total === 'number' ? total : null;
+        });
+
+        this.total = null;
+    }
+
+    firstEndpoint() {
+        if (this.style === 'page') {
+            return appendQuery(this.endpoint, { [this.pageParam]: this.startPage, [this.limitParam]: this.pageSize });
+        }
+        if (this.style === 'cursor') {
+            return appendQuery(this.endpoint, { [this.limitParam]: this.pageSize });
+        }
+        return this.endpoint;
+    }
+
+    async fetchPage(endpoint, pageNumber) {
+        const result = await this.client.execute(endpoint, { ...this.requestOptions, method: 'GET' });
+        const items = this.getItems(result.data) || [];
+        const total = this.getTotal(result.data, result.response);
+        if (total !== null) {
+            this.total = total;
+        }
+
+        return { items, pageNumber, next: this.nextEndpoint(result, items, pageNumber) };
+    }
+
+    // Endpoint of the following page, or null on the last page
+    nextEndpoint(result, items, pageNumber) {
+        if (this.style === 'cursor') {
+            const cursor = this.getNextCursor(result.data);
+            return cursor ? appendQuery(this.endpoint, { [this.cursorParam]: cursor, [this.limitParam]: this.pageSize }) : null;
+        }
+
+        if (this.style === 'link') {
+            const next = parseLinkHeader(result.response?.headers.get('Link')).next;
+            return next ? this.toEndpoint(next) : null;
+        }
+
+        const fetched = (pageNumber - this.startPage + 1) * this.pageSize;
+        if (items.length < this.pageSize || (this.total !== null && fetched >= this.total)) {
+            return null;
+        }
+        return appendQuery(this.endpoint, { [this.pageParam]: pageNumber + 1, [this.limitParam]: this.pageSize });
+    }
+
+    // Link headers carry absolute URLs; the client wants endpoints relative to baseURL
+    toEndpoint(link) {
+        const baseURL = this.client.baseURL;
+        if (link.startsWith(baseURL)) {
+            return link.slice(baseURL.length);
+        }
+        try {
+            const url = new URL(link);
+            return `${url.pathname}${url.search}`;
+        } catch (error) {
+            return link;
+        }
+    }
+
+    async *pages() {
+        let pending = this.fetchPage(this.firstEndpoint(), this.startPage);
+
+        while (pending) {
+            const page = await pending;
+            const loadNext = page.next ? () => this.fetchPage(page.next, page.pageNumber + 1) : null;
+            pending = null;
+
+            // With prefetch the next page loads while this one is consumed
+            if (loadNext && this.prefetch) {
+                pending = loadNext();
+                pending.catch(() => {}); // rethrown when awaited on the next iteration
+            }
+
+            yield page.items;
+
+            if (loadNext && !this.prefetch) {
+                pending = loadNext();
+            }
+        }
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for await (const items of this.pages()) {
+            yield* items;
+        }
+    }
+
+    // Collect items into an array, stopping after `limit` items
+    async toArray(limit = Infinity) {
+        const items = [];
+        for await (const item of this) {
+            items.push(item);
+            if (items.length >= limit) {
+                break;
+            }
+        }
+        return items;
+    }
+}
+
+// Create request metrics and tracing hooks:
+// - Per-request timing: total duration, time to first byte (transport resolved)
+//   and parse time (response interceptors, i.e. JSON parsing)
+// - Attempt count, final status and error class, published to onMetrics listeners
+// - W3C traceparent header on every attempt so the backend can join the trace
+// - Span lifecycle callbacks (onSpanStart / onSpanEnd) and a pluggable exporter
+// - LocalSpanExporter as a stand-in collector: latency and retries per endpoint
+
+// High-resolution clock for durations; wall-clock times use Date.now()
+function monotonicNow() {
+    return typeof performance !== 'undefined' && typeof performance.now === 'function'
+        ? performance.now()
+        : Date.now();
+}
+
+function randomHex(bytes) {
+    const values = new Uint8Array(bytes);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        crypto.getRandomValues(values);
+    } else {
+        values.forEach((_, index) => {
+            values[index] = Math.floor(Math.random() * 256);
+        });
+    }
+    return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+// '00-<32 hex trace id>-<16 hex parent span id>-<2 hex flags>'
+function formatTraceparent({ traceId, spanId, sampled }) {
+    return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+function parseTraceparent(header) {
+    const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec((header || '').trim().toLowerCase());
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+        return null;
+    }
+    return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+class Span {
+    constructor(tracer, name, { traceId, parentSpanId = null, sampled = true, kind = 'client', attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = traceId;
+        this.spanId = randomHex(8);
+        this.parentSpanId = parentSpanId;
+        this.sampled = sampled;
+        this.attributes = { ...attributes };
+        this.events = [];
+        this.status = 'unset';
+        this.error = null;
+        this.startTime = Date.now();
+        this.startedAt = monotonicNow();
+        this.duration = null;
+    }
+
+    get ended() {
+        return this.duration !== null;
+    }
+
+    get traceparent() {
+        return formatTraceparent(this);
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, attributes, time: Date.now() });
+        return this;
+    }
+
+    // Ends the span once; later calls are ignored
+    end({ error = null, status } = {}) {
+        if (this.ended) {
+            return;
+        }
+        this.duration = monotonicNow() - this.startedAt;
+        this.error = error;
+        this.status = status || (error ? 'error' : 'ok');
+        if (error) {
+            this.setAttributes({ 'error.type': error.name || 'Error' });
+        }
+        this.tracer.finish(this);
+    }
+
+    toJSON() {
+        const { tracer, startedAt, error, ...span } = this;
+        return { ...span, error: error ? { name: error.name, message: error.message } : null };
+    }
+}
+
+// Exporters receive finished, sampled spans: { export(spans) }
+class Tracer {
+    constructor({ onSpanStart, onSpanEnd, exporter = null, sampleRate = 1 } = {}) {
+        this.exporter = exporter;
+        this.sampleRate = sampleRate;
+        this.startListeners = new Set(onSpanStart ? [onSpanStart] : []);
+        this.endListeners = new Set(onSpanEnd ? [onSpanEnd] : []);
+    }
+
+    // parent: a Span, or a traceparent header to continue an incoming trace
+    startSpan(name, { parent = null, ...options } = {}) {
+        const context = typeof parent === 'string' ? parseTraceparent(parent) : parent;
+        const span = new Span(this, name, {
+            ...options,
+            traceId: context ? context.traceId : randomHex(16),
+            parentSpanId: context ? context.spanId : null,
+            sampled: context ? context.sampled : Math.random() < this.sampleRate
+        });
+        this.notify(this.startListeners, span);
+        return span;
+    }
+
+    finish(span) {
+        if (!span.sampled) {
+            return;
+        }
+        this.notify(this.endListeners, span);
+        if (this.exporter) {
+            Promise.resolve()
+                .then(() => this.exporter.export([span]))
+                .catch(error => console.warn('Span export failed:', error));
+        }
+    }
+
+    onSpanStart(listener) {
+        this.startListeners.add(listener);
+        return () => this.startListeners.delete(listener);
+    }
+
+    onSpanEnd(listener) {
+        this.endListeners.add(listener);
+        return () => this.endListeners.delete(listener);
+    }
+
+    // A broken listener must never fail the request it observes
+    notify(listeners, span) {
+        listeners.forEach(listener => {
+            try {
+                listener(span);
+            } catch (error) {
+                console.warn('Span listener failed:', error);
+            }
+        });
+    }
+}
+
+// Keeps finished spans in memory and summarizes the request spans per endpoint,
+// e.g. to chart latency and retry storms in a dev panel
+class LocalSpanExporter {
+    constructor({ maxSpans = 1000 } = {}) {
+        this.maxSpans = maxSpans;
+        this.spans = [];
+    }
+
+    export(spans) {
+        this.spans.push(...spans.map(span => span.toJSON()));
+        if (this.spans.length > this.maxSpans) {
+            this.spans.splice(0, this.spans.length - this.maxSpans);
+        }
+    }
+
+    getSpans() {
+        return [...this.spans];
+    }
+
+    clear() {
+        this.spans = [];
+    }
+
+    // { 'GET /api/users/1': { count, errors, retries, p50, p95, max } }
+    summarize() {
+        const groups = {};
+        this.spans
+            .filter(span => span.attributes['api.endpoint']) // request spans, not attempts
+            .forEach(span => {
+                const key = `${span.attributes['http.request.method']} ${span.attributes['api.endpoint']}`;
+                const group = groups[key] || (groups[key] = { durations: [], errors: 0, retries: 0 });
+                group.durations.push(span.duration);
+                group.errors += span.status === 'error' ? 1 : 0;
+                group.retries += Math.max(0, (span.attributes['api.attempts'] || 1) - 1);
+            });
+
+        const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        return Object.fromEntries(Object.entries(groups).map(([key, { durations, errors, retries }]) => {
+            const sorted = durations.sort((a, b) => a - b);
+            return [key, {
+                count: sorted.length,
+                errors,
+                retries,
+                p50: percentile(sorted, 0.5),
+                p95: percentile(sorted, 0.95),
+                max: sorted[sorted.length - 1]
+            }];
+        }));
+    }
+}
+
+// Collects the timings of one execute() call: a request span with one child
+// span per attempt, and the metrics record published when the request settles
+class RequestTelemetry {
+    constructor(client, request, endpoint, parent = null) {
+        this.client = client;
+        this.request = request;
+        this.endpoint = endpoint;
+        this.startTime = Date.now();
+        this.startedAt = monotonicNow();
+        this.attempts = [];
+        this.span = client.tracer
+            ? client.tracer.startSpan(`HTTP ${request.method}`, {
+                parent,
+                attributes: {
+                    'http.request.method': request.method,
+                    'url.full': request.url,
+                    'api.endpoint': endpoint
+                }
+            })
+            : null;
+    }
+
+    startAttempt(attempt) {
+        const timing = {
+            attempt,
+            startedAt: monotonicNow(),
+            firstByteAt: null,
+            parsedAt: null,
+            status: null,
+            errorClass: null,
+            duration: null,
+            span: this.span
+                ? this.client.tracer.startSpan(`HTTP ${this.request.method}`, {
+                    parent: this.span,
+                    attributes: { 'http.request.method': this.request.method, 'http.resend_count': this.attempts.length }
+                })
+                : null
+        };
+        this.attempts.push(timing);
+        return timing;
+    }
+
+    // Headers that propagate the attempt's span to the server
+    headersFor(timing) {
+        return timing.span ? { traceparent: timing.span.traceparent } : {};
+    }
+
+    endAttempt(timing, { status = null, error = null } = {}) {
+        if (timing.duration !== null) {
+            return;
+        }
+        timing.duration = monotonicNow() - timing.startedAt;
+        timing.status = status ?? error?.status ?? null;
+        timing.errorClass = error ? error.name : null;
+
+        if (timing.span) {
+            if (timing.status !== null) {
+                timing.span.setAttributes({ 'http.response.status_code': timing.status });
+            }
+            timing.span.end({ error, status: error || timing.status >= 400 ? 'error' : 'ok' });
+        }
+    }
+
+    end({ result = null, error = null } = {}) {
+        const last = this.attempts[this.attempts.length - 1];
+        if (last) {
+            this.endAttempt(last, { status: result?.status ?? null, error });
+        }
+
+        const metrics = {
+            method: this.request.method,
+            url: this.request.url,
+            endpoint: this.endpoint,
+            status: result?.status ?? error?.status ?? null,
+            ok: !error,
+            errorClass: error ? error.name : null,
+            attempts: this.attempts.length,
+            duration: monotonicNow() - this.startedAt,
+            timeToFirstByte: last && last.firstByteAt !== null ? last.firstByteAt - last.startedAt : null,
+            parseTime: last && last.parsedAt !== null ? last.parsedAt - last.firstByteAt : null,
+            attemptTimings: this.attempts.map(({ span, startedAt, firstByteAt, parsedAt, ...timing }) => ({
+                ...timing,
+                timeToFirstByte: firstByteAt !== null ? firstByteAt - startedAt : null
+            })),
+            traceId: this.span ? this.span.traceId : null,
+            timestamp: new Date(this.startTime).toISOString()
+        };
+
+        if (this.span) {
+            this.span.setAttributes({ 'api.attempts': metrics.attempts });
+            if (metrics.status !== null) {
+                this.span.setAttributes({ 'http.response.status_code': metrics.status });
+            }
+            this.span.end({ error });
+        }
+        this.client.emitMetrics(metrics);
+    }
+}
+
+// Create a client-side rate and concurrency limiter:
+// - Token bucket: `rate` requests per second with bursts up to `burst`
+// - At most `maxConcurrent` requests in flight; the rest wait in a queue
+// - Priority lanes: 'high' (user-visible) requests jump ahead of 'normal'
+//   and 'low' (background sync, revalidation) ones
+// - Self-tuning: a 429 halves the rate and pauses until Retry-After has passed;
+//   successful responses raise it again step by step (AIMD)
+
+const RequestPriority = Object.freeze({
+    HIGH: 'high',
+    NORMAL: 'normal',
+    LOW: 'low'
+});
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.configuredRate = options.rate ?? Infinity;
+        this.rate = this.configuredRate;
+        this.burst = options.burst ?? (Number.isFinite(this.rate) ? Math.max(1, Math.ceil(this.rate)) : Infinity);
+        this.maxConcurrent = options.maxConcurrent ?? Infinity;
+        this.adaptive = options.adaptive !== false;
+        this.minRate = options.minRate ?? 0.5;
+
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.pausedUntil = 0;
+        this.ceiling = null; // rate before the last 429, the target for recovery
+        this.recentStarts = [];
+        this.timer = null;
+        this.queues = {
+            [RequestPriority.HIGH]: [],
+            [RequestPriority.NORMAL]: [],
+            [RequestPriority.LOW]: []
+        };
+    }
+
+    // Resolves with a release() function once the request may start
+    acquire({ priority = RequestPriority.NORMAL, signal } = {}) {
+        const queue = this.queues[priority];
+        if (!queue) {
+            return Promise.reject(new Error(`Unknown request priority: ${priority}`));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError('The request was cancelled.', { cause: signal.reason }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                queue.splice(queue.indexOf(waiter), 1);
+                reject(new AbortError('The request was cancelled.', { cause: signal.reason }));
+            };
+            const waiter = {
+                resolve: (release) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(release);
+                }
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            queue.push(waiter);
+            this.drain();
+        });
+    }
+
+    // Start queued requests, highest priority first, while slots and tokens allow
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.active < this.maxConcurrent && this.hasWaiters()) {
+            this.refill();
+            const now = Date.now();
+            const wait = Math.max(
+                this.pausedUntil - now,
+                this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000)
+            );
+            if (wait > 0) {
+                this.timer = setTimeout(() => this.drain(), wait);
+                return;
+            }
+
+            this.tokens -= 1;
+            this.active++;
+            this.recentStarts.push(now);
+            this.nextWaiter().resolve(this.createRelease());
+        }
+    }
+
+    createRelease() {
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            this.active--;
+            this.drain();
+        };
+    }
+
+    hasWaiters() {
+        return Object.values(this.queues).some(queue => queue.length > 0);
+    }
+
+    nextWaiter() {
+        return Object.values(this.queues).find(queue => queue.length > 0).shift();
+    }
+
+    capacity() {
+        return this.rate < this.configuredRate ? Math.max(1, Math.min(this.burst, this.rate)) : this.burst;
+    }
+
+    refill() {
+        const now = Date.now();
+        if (!Number.isFinite(this.rate)) {
+            this.tokens = this.capacity();
+        } else {
+            this.tokens = Math.min(this.capacity(), this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        }
+        this.lastRefill = now;
+    }
+
+    // Requests started in the last second; the baseline when no rate is configured
+    observedRate() {
+        const since = Date.now() - 1000;
+        this.recentStarts = this.recentStarts.filter(start => start > since);
+        return this.recentStarts.length;
+    }
+
+    // Called on a 429: halve the rate and hold the queue until Retry-After
+    throttle(retryAfter = null) {
+        if (!this.adaptive) {
+            return;
+        }
+        this.refill();
+        const current = Number.isFinite(this.rate) ? this.rate : Math.max(this.minRate, this.observedRate());
+        this.ceiling = Math.max(this.ceiling ?? 0, current);
+        this.rate = Math.max(this.minRate, current / 2);
+        this.tokens = Math.min(this.tokens, this.capacity());
+        if (retryAfter !== null) {
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter);
+        }
+        this.drain();
+    }
+
+    // Called on a successful response: raise the rate again, one step at a time
+    recover() {
+        if (this.ceiling === null) {
+            return;
+        }
+        this.refill();
+        this.rate = Math.min(this.configuredRate, this.rate + Math.max(this.minRate, this.ceiling * 0.05));
+        if (this.rate >= this.ceiling) {
+            this.rate = this.configuredRate;
+            this.ceiling = null;
+        }
+    }
+
+    getStats() {
+        return {
+            name: this.name,
+            rate: this.rate,
+            configuredRate: this.configuredRate,
+            active: this.active,
+            queued: Object.fromEntries(Object.entries(this.queues).map(([priority, queue]) => [priority, queue.length])),
+            pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+        };
+    }
+}
+
+// Default interceptors - the client's built-in behavior expressed as
+// interceptors so it can be removed (client.eject('auth')) or replaced
+// (client.replace('json', myParser)) without forking the class.
+// Each phase receives the value from the previous interceptor and returns
+// the value for the next one.
+
+// Adds the bearer token to outgoing requests, refreshing it first when it is about to expire
+const createAuthInterceptor = (client) => ({
+    name: 'auth',
+    async request(config) {
+        const token = await client.tokenManager.getValidAccessToken();
+        if (token) {
+            config.headers.Authorization = `Bearer ${token}`;
+        }
+        if (client.tokenManager.usesCookies) {
+            config.credentials = 'include';
+        }
+        return config;
+    }
+});
+
+// Parses the response body (successful or not) into result.data
+const createJsonInterceptor = (client) => ({
+    name: 'json',
+    async response(result) {
+        result.data = await client.safelyParseResponse(result.response);
+        return result;
+    }
+});
+
+// Logs every failed attempt without touching the error
+const createLoggingInterceptor = () => ({
+    name: 'logging',
+    error(error, config) {
+        if (error instanceof AbortError) {
+            return; // cancellations are expected, e.g. search-as-you-type
+        }
+        console.error(`API request attempt ${config.attempt} failed:`, {
+            url: config.url,
+            error: error.message,
+            attempt: config.attempt,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
 
 class ApiClient {
     constructor(baseURL, options = {}) {
@@ -198,132 +2228,467 @@ class ApiClient {
         this.timeout = options.timeout || 10000;
         this.maxRetries = options.maxRetries || 3;
         this.retryDelay = options.retryDelay || 1000;
-        this.circuitBreaker = {
-            failures: 0,
-            lastFailure: null,
-            threshold: options.circuitBreakerThreshold || 5,
-            resetTimeout: options.circuitBreakerReset || 60000
+        this.retryPolicy = options.retryPolicy || retryPolicies.exponential({ baseDelay: this.retryDelay });
+        // Retry-After values longer than this are not waited out; the error is thrown instead
+        this.maxRetryAfter = options.maxRetryAfter ?? 60000;
+        // Generate an Idempotency-Key for every mutating request unless the caller sent one
+        this.idempotencyKeys = options.idempotencyKeys !== false;
+        this.retryBudget = options.retryBudget === false
+            ? null
+            : options.retryBudget instanceof RetryBudget ? options.retryBudget : new RetryBudget(options.retryBudget);
+
+        // circuitBreaker: CircuitBreaker options plus
+        // - scope: 'origin' (default), 'route' or a function (url, endpoint) => key
+        // - routeGroups: [{ name, pattern }] used by the 'route' scope;
+        //   pattern is a RegExp or a path prefix
+        const { scope = 'origin', routeGroups = [], ...breakerOptions } = options.circuitBreaker || {};
+        this.circuitBreakerScope = scope;
+        this.routeGroups = routeGroups;
+        this.circuitBreakerOptions = {
+            // circuitBreakerThreshold keeps its meaning: open after that many failures in a row
+            failureThreshold: options.circuitBreakerThreshold ?? null,
+            resetTimeout: options.circuitBreakerReset || 60000,
+            ...breakerOptions
         };
+        this.circuitBreakers = new Map();
+        this.circuitListeners = new Set();
+        // Unsubscribe functions for listeners this client attached elsewhere; see dispose()
+        this.subscriptions = [];
+
+        // rateLimit: RateLimiter options for the whole client ({ rate, burst, maxConcurrent })
+        // plus routes: [{ pattern, rate, burst, maxConcurrent }] for stricter limits on
+        // some endpoints (pattern is a RegExp or a path prefix). A request waits for the
+        // client limiter and every matching route limiter; options.priority picks its lane.
+        const { routes: rateLimitRoutes = [], ...clientRateLimit } = options.rateLimit || {};
+        this.rateLimiter = options.rateLimit ? new RateLimiter({ name: 'client', ...clientRateLimit }) : null;
+        this.routeRateLimiters = rateLimitRoutes.map(({ pattern, ...limits }) => ({
+            pattern,
+            limiter: new RateLimiter({ name: String(pattern), ...limits })
+        }));
+
+        // cache: true for an in-memory LRU cache, or ResponseCache options
+        // ({ storage, staleWhileRevalidate }), or a ResponseCache instance
+        if (options.cache) {
+            this.cache = options.cache instanceof ResponseCache
+                ? options.cache
+                : new ResponseCache(options.cache === true ? {} : options.cache);
+        } else {
+            this.cache = null;
+        }
+
+        // transport: (url, config) => Promise<Response>, or an object with send()
+        const transport = options.transport || ((url, config) => fetch(url, config));
+        this.transport = typeof transport === 'function' ? transport : (url, config) => transport.send(url, config);
+
+        // tracer: a Tracer, or Tracer options ({ onSpanStart, onSpanEnd, exporter, sampleRate });
+        // onMetrics: called with the metrics record of every settled request
+        this.tracer = !options.tracer || options.tracer instanceof Tracer ? options.tracer || null : new Tracer(options.tracer);
+        this.metricsListeners = new Set(options.onMetrics ? [options.onMetrics] : []);
+
+        // tokenManager, or tokenStore for the shared manager over that store
+        // (share the store with loginUserSecure so both see the same session)
+        this.tokenManager = options.tokenManager ||
+            (options.tokenStore ? tokenManagerFor(options.tokenStore) : defaultTokenManager);
+
+        // Cached responses belong to the session that fetched them
+        if (this.cache) {
+            this.subscriptions.push(this.tokenManager.onSessionChange(() => {
+                this.cache.clear().catch(error => console.warn('Failed to clear response cache:', error));
+            }));
+        }
+
+        // offlineQueue: true or OfflineOutbox options ({ store, onConflict, autoReplay })
+        this.connectivityCheck = options.isOnline || null;
+        this.outbox = options.offlineQueue
+            ? new OfflineOutbox(this, options.offlineQueue === true ? {} : options.offlineQueue)
+            : null;
+
+        // Aborted by abortAll(); replaced afterwards so new requests still work
+        this.abortController = new AbortController();
+
+        // In-flight GETs keyed by URL and headers, shared by concurrent callers
+        this.dedupeRequests = options.dedupe !== false;
+        this.inFlight = new Map();
+        this.batchers = [];
+
+        this.interceptors = [];
+        if (options.defaultInterceptors !== false) {
+            this.use(createAuthInterceptor(this));
+            this.use(createJsonInterceptor(this));
+            this.use(createLoggingInterceptor());
+        }
+        (options.interceptors || []).forEach(interceptor => this.use(interceptor));
+    }
+
+    // Register an interceptor: { name, request(config), response(result), error(error, config) }
+    // - request: return the (possibly modified) config before it is sent
+    // - response: return the (possibly modified) result { response, config, status, ok, data }
+    // - error: return a value to recover with it as the response data,
+    //   return nothing to let the error continue, or throw to replace it
+    // Interceptors run in registration order; pass { before: 'name' } to insert earlier.
+    // Returns a function that removes the interceptor again.
+    use(interceptor, { before } = {}) {
+        if (!interceptor || typeof interceptor !== 'object') {
+            throw new Error('Interceptor must be an object');
+        }
+
+        const phases = ['request', 'response', 'error'];
+        if (!phases.some(phase => typeof interceptor[phase] === 'function')) {
+            throw new Error('Interceptor must define a request, response or error handler');
+        }
+
+        const index = before ? this.findInterceptor(before) : -1;
+        if (before && index === -1) {
+            throw new Error(`Interceptor "${before}" is not registered`);
+        }
+
+        if (index === -1) {
+            this.interceptors.push(interceptor);
+        } else {
+            this.interceptors.splice(index, 0, interceptor);
+        }
+
+        return () => this.eject(interceptor);
+    }
+
+    // Remove an interceptor by name or by reference
+    eject(nameOrInterceptor) {
+        const index = this.findInterceptor(nameOrInterceptor);
+        if (index === -1) {
+            return false;
+        }
+        this.interceptors.splice(index, 1);
+        return true;
+    }
+
+    // Swap a named interceptor in place, keeping its position in the chain
+    replace(name, interceptor) {
+        const index = this.findInterceptor(name);
+        if (index === -1) {
+            throw new Error(`Interceptor "${name}" is not registered`);
+        }
+        this.interceptors[index] = interceptor;
+    }
+
+    findInterceptor(nameOrInterceptor) {
+        return this.interceptors.findIndex(interceptor =>
+            interceptor === nameOrInterceptor || (interceptor.name && interceptor.name === nameOrInterceptor)
+        );
     }
 
+    // Mutating calls made while offline are stored in the outbox (when the client
+    // has one) and reject with QueuedOfflineError, so callers never mistake the
+    // queued call for response data. Pass outbox: false to fail with OfflineError.
     async request(endpoint, options = {}) {
-        // Check circuit breaker
-        if (this.isCircuitOpen()) {
-            throw new Error('Service temporarily unavailable. Please try again later.');
+        const method = (options.method || 'GET').toUpperCase();
+        const { outbox: useOutbox = true, ...requestOptions } = options;
+
+        if (this.outbox && useOutbox && MUTATING_METHODS.includes(method) && !this.isOnline()) {
+            const { id, idempotencyKey } = await this.outbox.enqueue(endpoint, { ...requestOptions, method });
+            throw new QueuedOfflineError('No internet connection. The request will be sent once you are back online.', {
+                request: { method, url: `${this.baseURL}${endpoint}` },
+                entryId: id,
+                idempotencyKey
+            });
         }
 
+        const result = await this.execute(endpoint, requestOptions);
+
+        // Unsafe methods invalidate the cached representation of the same URL
+        if (this.cache && method !== 'GET' && method !== 'HEAD') {
+            await this.cache.invalidate(`${this.baseURL}${endpoint}`);
+        }
+
+        return result.data;
+    }
+
+    // Runs the full pipeline and returns the result envelope
+    // ({ response, config, status, ok, data }) instead of just the data.
+    // traceParent (a Span or traceparent header) makes the request part of an existing trace.
+    // idempotencyKey: a key to send (reuse it when retrying the call yourself),
+    // or false to send none; retry: true / false overrides the retry rules for this call.
+    async execute(endpoint, options = {}) {
         // Validate inputs
         if (!endpoint || typeof endpoint !== 'string') {
             throw new Error('Valid endpoint is required');
         }
 
-        const url = `${this.baseURL}${endpoint}`;
+        const { traceParent = null, idempotencyKey, ...requestOptions } = options;
+        const request = { method: (options.method || 'GET').toUpperCase(), url: `${this.baseURL}${endpoint}` };
+
+        // One key per call, sent unchanged on every attempt so the server can drop duplicates
+        const key = this.resolveIdempotencyKey(request.method, options.headers, idempotencyKey);
+        if (key) {
+            request.idempotencyKey = key;
+            requestOptions.headers = { ...options.headers, 'Idempotency-Key': key };
+        }
+        const telemetry = new RequestTelemetry(this, request, endpoint, traceParent);
+
+        try {
+            const result = await this.runAttempts(request, endpoint, requestOptions, telemetry);
+            telemetry.end({ result });
+            return result;
+        } catch (error) {
+            telemetry.end({ error });
+            throw error;
+        }
+    }
+
+    // The attempt loop behind execute(): breaker, timeout, auth replay and retries
+    async runAttempts(request, endpoint, options, telemetry) {
+        const { url } = request;
+        const breaker = this.getCircuitBreaker(url, endpoint);
+        const limiters = this.getRateLimiters(endpoint);
+
+        // Caller cancellation and abortAll(); each attempt adds its own timeout
+        const { headers, signal: callerSignal, priority = RequestPriority.NORMAL, retry, ...requestOptions } = options;
+        const retryable = this.isRetryable(request, retry);
+        const cancelSignal = anySignal([callerSignal, this.abortController.signal]);
+        if (cancelSignal.aborted) {
+            throw new AbortError('The request was cancelled.', { request, cause: cancelSignal.reason });
+        }
+
         let lastError;
+        let previousDelay = 0;
+        let authReplayed = false;
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            let config = { url, attempt };
+
+            // Wait for the rate limiters; the slot is held until the response arrives
+            const release = await this.acquireRateLimit(limiters, { priority, signal: cancelSignal, request });
+
+            // Check circuit breaker (it may have opened during earlier attempts)
+            if (!breaker.tryAcquire()) {
+                release();
+                throw attempt === 1
+                    ? new CircuitOpenError('Service temporarily unavailable. Please try again later.', { request, attempt, circuit: breaker.name })
+                    : lastError;
+            }
+
+            const timing = telemetry.startAttempt(attempt);
             try {
                 // Check if online
-                if (!navigator.onLine) {
-                    throw new Error('No internet connection. Please check your network and try again.');
+                if (!this.isOnline()) {
+                    throw new OfflineError('No internet connection. Please check your network and try again.', { request, attempt });
                 }
 
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+                const timeoutController = new AbortController();
+                let timedOut = false;
+                const timeoutId = setTimeout(() => {
+                    timedOut = true;
+                    timeoutController.abort();
+                }, this.timeout);
 
-                const config = {
+                config = {
                     method: 'GET',
+                    ...requestOptions,
+                    url,
+                    attempt,
                     headers: {
                         'Content-Type': 'application/json',
                         'Accept': 'application/json',
-                        ...options.headers
+                        ...telemetry.headersFor(timing),
+                        ...headers
                     },
-                    signal: controller.signal,
-                    ...options
+                    signal: anySignal([cancelSignal, timeoutController.signal])
                 };
 
-                // Add authentication if available
-                const token = localStorage.getItem('token');
-                if (token && this.isTokenValid()) {
-                    config.headers.Authorization = `Bearer ${token}`;
+                const onFetchError = (error) => toApiError(error, { request, attempt, timedOut, timeout: this.timeout });
+                let result;
+                try {
+                    result = await this.dispatch(config, onFetchError, timing);
+                } finally {
+                    clearTimeout(timeoutId);
+                    release();
                 }
 
-                const response = await fetch(url, config);
-                clearTimeout(timeoutId);
-
                 // Handle different HTTP status codes
-                if (!response.ok) {
-                    const errorBody = await this.safelyParseResponse(response);
-                    
-                    switch (response.status) {
-                        case 400:
-                            throw new Error(errorBody?.message || 'Invalid request. Please check your input.');
-                        case 401:
-                            this.handleAuthError();
-                            throw new Error('Authentication required. Please log in again.');
-                        case 403:
-                            throw new Error('You do not have permission to perform this action.');
-                        case 404:
-                            throw new Error('The requested resource was not found.');
-                        case 409:
-                            throw new Error(errorBody?.message || 'Conflict. The resource already exists or is in use.');
-                        case 422:
-                            throw new Error(errorBody?.message || 'Validation failed. Please check your input.');
-                        case 429:
-                            const retryAfter = response.headers.get('Retry-After');
-                            throw new Error(`Too many requests. Please try again ${retryAfter ? `after ${retryAfter} seconds` : 'later'}.`);
-                        case 500:
-                            throw new Error('Server error. Please try again later.');
-                        case 502:
-                        case 503:
-                        case 504:
-                            throw new Error('Service temporarily unavailable. Please try again later.');
-                        default:
-                            throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+                // (validateStatus lets callers accept extra statuses such as 304)
+                if (!result.ok && !(options.validateStatus && options.validateStatus(result.status))) {
+                    // On the first 401, refresh the token (shared with any concurrent
+                    // 401s) and replay the request without using up a retry
+                    if (result.status === 401 && !authReplayed && this.tokenManager) {
+                        authReplayed = true;
+                        const usedToken = (config.headers.Authorization || '').replace(/^Bearer /, '');
+                        if (await this.tokenManager.handleUnauthorized(usedToken)) {
+                            telemetry.endAttempt(timing, { status: result.status });
+                            breaker.recordSuccess();
+                            attempt--;
+                            continue;
+                        }
+                    } else if (result.status === 401) {
+                        this.handleAuthError();
                     }
+                    throw this.createHttpError(result, request, attempt);
                 }
 
-                // Validate response
-                const data = await this.safelyParseResponse(response);
-                
-                // Reset circuit breaker on success
-                this.circuitBreaker.failures = 0;
-                this.circuitBreaker.lastFailure = null;
+                telemetry.endAttempt(timing, { status: result.status });
+                breaker.recordSuccess();
+                this.retryBudget?.recordSuccess();
+                limiters.forEach(limiter => limiter.recover());
 
-                return data;
+                return result;
 
             } catch (error) {
                 lastError = error;
+                release();
+                telemetry.endAttempt(timing, { error });
+
+                // Slow down every limiter this request went through
+                if (error instanceof RateLimitError) {
+                    limiters.forEach(limiter => limiter.throttle(error.retryAfter));
+                }
+
+                // Give error interceptors a chance to log, replace or recover
+                let recovered;
+                try {
+                    recovered = await this.runErrorInterceptors(error, config);
+                } catch (replacement) {
+                    lastError = replacement;
+                }
 
-                // Track failures for circuit breaker
+                // Track outcomes for circuit breaker once the interceptors are done:
+                // a recovered request counts as a success, server failures count
+                // against it, any other HTTP response proves the service is up
+                if (recovered !== undefined) {
+                    breaker.recordSuccess();
+                    return { response: null, config, status: null, ok: true, data: recovered };
+                }
                 if (this.isServerError(error)) {
-                    this.circuitBreaker.failures++;
-                    this.circuitBreaker.lastFailure = Date.now();
+                    breaker.recordFailure();
+                } else if (error instanceof HttpError) {
+                    breaker.recordSuccess();
+                } else {
+                    breaker.release();
                 }
 
-                // Log error
-                console.error(`API request attempt ${attempt} failed:`, {
-                    url,
-                    error: error.message,
-                    attempt,
-                    timestamp: new Date().toISOString()
-                });
+                // Don't retry on client errors or auth errors, or when a repeat
+                // could apply a non-idempotent request twice
+                if (!retryable || this.shouldNotRetry(lastError)) {
+                    break;
+                }
 
-                // Don't retry on client errors or auth errors
-                if (this.shouldNotRetry(error)) {
+                // Stop when out of attempts or when the client's retry budget is spent
+                this.retryBudget?.recordFailure();
+                if (attempt >= this.maxRetries || (this.retryBudget && !this.retryBudget.canRetry())) {
                     break;
                 }
 
-                // Wait before retrying
-                if (attempt < this.maxRetries) {
-                    const delay = this.retryDelay * Math.pow(2, attempt - 1);
-                    await new Promise(resolve => setTimeout(resolve, delay));
+                const delay = this.getRetryDelay(attempt, lastError, previousDelay);
+                if (delay === null) {
+                    break;
                 }
+
+                // Wait before retrying (cancellable)
+                previousDelay = delay;
+                await sleep(delay, cancelSignal, request);
             }
         }
 
         throw lastError;
     }
 
+    // Request interceptors -> transport -> response interceptors
+    // onFetchError converts transport failures (not interceptor bugs) into typed errors;
+    // timing receives firstByteAt (transport resolved) and parsedAt (response interceptors done)
+    async dispatch(config, onFetchError = (error) => error, timing = {}) {
+        for (const interceptor of this.interceptors) {
+            if (interceptor.request) {
+                config = (await interceptor.request(config)) || config;
+            }
+        }
+
+        let response;
+        try {
+            response = await this.transport(config.url, config);
+        } catch (error) {
+            throw onFetchError(error);
+        }
+        timing.firstByteAt = monotonicNow();
+
+        let result = {
+            response,
+            config,
+            status: response.status,
+            ok: response.ok,
+            data: undefined
+        };
+
+        for (const interceptor of this.interceptors) {
+            if (interceptor.response) {
+                result = (await interceptor.response(result)) || result;
+            }
+        }
+        timing.parsedAt = monotonicNow();
+
+        return result;
+    }
+
+    async runErrorInterceptors(error, config) {
+        for (const interceptor of this.interceptors) {
+            if (interceptor.error) {
+                const recovered = await interceptor.error(error, config);
+                if (recovered !== undefined) {
+                    return recovered;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    // Delay before the next attempt: the retry policy's delay, stretched to
+    // honor Retry-After. Returns null when the server asks us to wait longer
+    // than maxRetryAfter.
+    getRetryDelay(attempt, error, previousDelay) {
+        const delay = this.retryPolicy(attempt, error, previousDelay);
+        const retryAfter = error.retryAfter ?? null;
+
+        if (retryAfter === null) {
+            return delay;
+        }
+        if (retryAfter > this.maxRetryAfter) {
+            return null;
+        }
+        return Math.max(delay, retryAfter);
+    }
+
+    // Map a failed response to an HttpError with a user-friendly message
+    createHttpError(result, request, attempt) {
+        const errorBody = result.data;
+        const statusText = result.response ? result.response.statusText : '';
+        const retryAfter = parseRetryAfter(result.response ? result.response.headers.get('Retry-After') : null);
+        const details = { status: result.status, statusText, body: errorBody, request, attempt, retryAfter };
+
+        switch (result.status) {
+            case 400:
+                return new HttpError(errorBody?.message || 'Invalid request. Please check your input.', details);
+            case 401:
+                return new HttpError('Authentication required. Please log in again.', details);
+            case 403:
+                return new HttpError('You do not have permission to perform this action.', details);
+            case 404:
+                return new HttpError('The requested resource was not found.', details);
+            case 409:
+                return new HttpError(errorBody?.message || 'Conflict. The resource already exists or is in use.', details);
+            case 422:
+                return new HttpError(errorBody?.message || 'Validation failed. Please check your input.', details);
+            case 429:
+                return new RateLimitError(
+                    `Too many requests. Please try again ${retryAfter !== null ? `after ${Math.ceil(retryAfter / 1000)} seconds` : 'later'}.`,
+                    details
+                );
+            case 500:
+                return new HttpError('Server error. Please try again later.', details);
+            case 502:
+            case 503:
+            case 504:
+                return new HttpError('Service temporarily unavailable. Please try again later.', details);
+            default:
+                return new HttpError(`Request failed: ${result.status} ${statusText}`, details);
+        }
+    }
+
     async safelyParseResponse(response) {
         try {
             const text = await response.text();
@@ -334,44 +2699,292 @@ class ApiClient {
         }
     }
 
-    isCircuitOpen() {
-        if (this.circuitBreaker.failures >= this.circuitBreaker.threshold) {
-            const timeSinceLastFailure = Date.now() - this.circuitBreaker.lastFailure;
-            return timeSinceLastFailure < this.circuitBreaker.resetTimeout;
+    // One breaker per origin or route group, created on first use
+    getCircuitBreaker(url, endpoint) {
+        const key = this.getCircuitKey(url, endpoint);
+
+        if (!this.circuitBreakers.has(key)) {
+            const breaker = new CircuitBreaker({ ...this.circuitBreakerOptions, name: key });
+            this.subscriptions.push(breaker.onStateChange(event => {
+                this.circuitListeners.forEach(listener => listener(event));
+            }));
+            this.circuitBreakers.set(key, breaker);
+        }
+
+        return this.circuitBreakers.get(key);
+    }
+
+    getCircuitKey(url, endpoint) {
+        if (typeof this.circuitBreakerScope === 'function') {
+            return this.circuitBreakerScope(url, endpoint);
+        }
+
+        if (this.circuitBreakerScope === 'route') {
+            const group = this.routeGroups.find(({ pattern }) =>
+                pattern instanceof RegExp ? pattern.test(endpoint) : endpoint.startsWith(pattern)
+            );
+            if (group) {
+                return group.name;
+            }
+        }
+
+        try {
+            const base = typeof location !== 'undefined' ? location.href : undefined;
+            return new URL(url, base).origin;
+        } catch (error) {
+            return 'default'; // relative baseURL outside a browser
+        }
+    }
+
+    // The client limiter plus the limiters of every route pattern that matches
+    getRateLimiters(endpoint) {
+        const routes = this.routeRateLimiters
+            .filter(({ pattern }) => (pattern instanceof RegExp ? pattern.test(endpoint) : endpoint.startsWith(pattern)))
+            .map(({ limiter }) => limiter);
+        return this.rateLimiter ? [...routes, this.rateLimiter] : routes;
+    }
+
+    // Acquire a slot from each limiter in turn; returns one function releasing all of them
+    async acquireRateLimit(limiters, { priority, signal, request }) {
+        const releases = [];
+        try {
+            for (const limiter of limiters) {
+                releases.push(await limiter.acquire({ priority, signal }));
+            }
+        } catch (error) {
+            releases.forEach(release => release());
+            if (error instanceof AbortError) {
+                error.request = request;
+            }
+            throw error;
         }
-        return false;
+        return () => releases.forEach(release => release());
+    }
+
+    getRateLimitStats() {
+        return [this.rateLimiter, ...this.routeRateLimiters.map(({ limiter }) => limiter)]
+            .filter(Boolean)
+            .map(limiter => limiter.getStats());
+    }
+
+    isCircuitOpen(endpoint = '') {
+        const breaker = this.getCircuitBreaker(`${this.baseURL}${endpoint}`, endpoint);
+        return breaker.state === CircuitState.OPEN;
+    }
+
+    // Subscribe to state changes of every breaker ({ name, from, to, timestamp }),
+    // e.g. to surface them in a dashboard. Returns an unsubscribe function.
+    onCircuitStateChange(listener) {
+        this.circuitListeners.add(listener);
+        return () => this.circuitListeners.delete(listener);
+    }
+
+    // Subscribe to the metrics record of every settled request
+    // ({ method, endpoint, status, errorClass, attempts, duration, timeToFirstByte, parseTime, ... }).
+    // Returns an unsubscribe function.
+    onMetrics(listener) {
+        this.metricsListeners.add(listener);
+        return () => this.metricsListeners.delete(listener);
+    }
+
+    emitMetrics(metrics) {
+        this.metricsListeners.forEach(listener => {
+            try {
+                listener(metrics);
+            } catch (error) {
+                console.warn('Metrics listener failed:', error);
+            }
+        });
+    }
+
+    getCircuitStats() {
+        return Array.from(this.circuitBreakers.values()).map(breaker => breaker.getStats());
     }
 
+    // Failures that count against the circuit breaker
     isServerError(error) {
-        return error.message.includes('Server error') || 
-               error.message.includes('Service temporarily unavailable') ||
-               error.name === 'AbortError';
+        return (error instanceof HttpError && error.isServerError) ||
+               error instanceof TimeoutError ||
+               error instanceof NetworkError;
     }
 
+    // Only transient failures are retried: server errors, rate limiting,
+    // request timeouts and network failures
     shouldNotRetry(error) {
-        return error.message.includes('Invalid request') ||
-               error.message.includes('Authentication required') ||
-               error.message.includes('permission') ||
-               error.message.includes('not found') ||
-               error.message.includes('Validation failed') ||
-               error.message.includes('No internet connection');
+        if (error instanceof HttpError) {
+            return !(error.isServerError || error instanceof RateLimitError || error.status === 408);
+        }
+        return !(error instanceof TimeoutError || error instanceof NetworkError);
+    }
+
+    resolveIdempotencyKey(method, headers = {}, idempotencyKey) {
+        const existing = Object.keys(headers).find(name => name.toLowerCase() === 'idempotency-key');
+        if (existing) {
+            return headers[existing];
+        }
+        if (idempotencyKey === false) {
+            return null;
+        }
+        if (typeof idempotencyKey === 'string') {
+            return idempotencyKey;
+        }
+        return this.idempotencyKeys && MUTATING_METHODS.includes(method) ? createIdempotencyKey() : null;
+    }
+
+    // GET, PUT, DELETE etc. are safe to repeat; POST and PATCH only with an
+    // Idempotency-Key. retry: true / false on the call overrides both.
+    isRetryable(request, retry) {
+        if (typeof retry === 'boolean') {
+            return retry;
+        }
+        return IDEMPOTENT_METHODS.includes(request.method) || Boolean(request.idempotencyKey);
     }
 
     isTokenValid() {
-        const expiry = localStorage.getItem('tokenExpiry');
-        return expiry && Date.now() < parseInt(expiry);
+        return this.tokenManager.isAccessTokenValid();
     }
 
     handleAuthError() {
-        localStorage.removeItem('token');
-        localStorage.removeItem('tokenExpiry');
-        // Trigger app-wide logout
-        window.dispatchEvent(new CustomEvent('auth:logout'));
+        this.tokenManager.logout();
+    }
+
+    // options.isOnline overrides the navigator check (e.g. in Node tests)
+    isOnline() {
+        if (this.connectivityCheck) {
+            return this.connectivityCheck();
+        }
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    // Cancel every in-flight request of this client (including retry waits)
+    abortAll(reason) {
+        this.abortController.abort(reason);
+        this.abortController = new AbortController();
+    }
+
+    // Detach every listener this client registered; call it when the client is discarded
+    dispose() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        this.circuitBreakers.clear();
+    }
+
+    // Async-iterable over every item of a list endpoint (see Paginator options above)
+    paginate(endpoint, options = {}) {
+        return new Paginator(this, endpoint, options);
+    }
+
+    // Register a RequestBatcher (see options above); returns it so callers can flush()
+    batch(options) {
+        const batcher = new RequestBatcher(this, options);
+        this.batchers.push(batcher);
+        return batcher;
+    }
+
+    // Concurrent callers with the same key share one promise until it settles.
+    // They also share the resolved data object, so treat it as read-only.
+    // Each caller's signal only cancels its own wait; the shared request is
+    // aborted once every caller has given up, and later callers start a new one.
+    dedupe(key, send, signal) {
+        let entry = this.inFlight.get(key);
+
+        if (!entry) {
+            const controller = new AbortController();
+            const created = { controller, waiters: 0 };
+            const release = () => {
+                if (this.inFlight.get(key) === created) {
+                    this.inFlight.delete(key);
+                }
+            };
+            created.promise = send(controller.signal).finally(release);
+            controller.signal.addEventListener('abort', release, { once: true });
+            this.inFlight.set(key, created);
+            entry = created;
+        }
+
+        const shared = entry;
+        shared.waiters++;
+        return raceWithSignal(shared.promise, signal, {
+            onAbort: () => {
+                shared.waiters--;
+                if (shared.waiters === 0) {
+                    shared.controller.abort();
+                }
+            }
+        });
     }
 
     // Convenience methods
+    // options.cache: 'bypass' skips the cache entirely, 'refresh' ignores the
+    // cached copy but stores the new response
+    // options.dedupe / options.batch: false opts this call out of sharing
     async get(endpoint, options = {}) {
-        return this.request(endpoint, { ...options, method: 'GET' });
+        const { cache: cacheMode = 'default', dedupe = this.dedupeRequests, batch = true, ...requestOptions } = options;
+        const cacheKey = `${this.baseURL}${endpoint}`;
+        const entry = this.cache && cacheMode === 'default' ? await this.cache.lookup(cacheKey) : null;
+
+        if (entry && this.cache.isFresh(entry)) {
+            return entry.data;
+        }
+
+        // A batch is one request for many callers, so only calls without headers,
+        // retry or priority settings join one; a signal only ends the caller's own wait
+        const { signal: batchSignal, ...perCallOptions } = requestOptions;
+        if (batch && !entry && Object.keys(perCallOptions).length === 0) {
+            for (const batcher of this.batchers) {
+                const key = batcher.keyFor(endpoint);
+                if (key !== null) {
+                    return raceWithSignal(batcher.load(key), batchSignal);
+                }
+            }
+        }
+
+        if (!this.cache || cacheMode === 'bypass') {
+            if (!dedupe) {
+                return this.request(endpoint, { ...requestOptions, method: 'GET' });
+            }
+            const { signal, ...sharedOptions } = requestOptions;
+            const key = `GET ${this.baseURL}${endpoint} ${JSON.stringify(sharedOptions.headers || {})}`;
+            return this.dedupe(
+                key,
+                (sharedSignal) => this.request(endpoint, { ...sharedOptions, method: 'GET', signal: sharedSignal }),
+                signal
+            );
+        }
+
+        if (entry && this.cache.canServeStale(entry)) {
+            // The caller already has its data; leaving the page must not cancel the refresh
+            const { signal, ...backgroundOptions } = requestOptions;
+            this.revalidate(endpoint, cacheKey, entry, { ...backgroundOptions, priority: RequestPriority.LOW }).catch(error => {
+                console.warn('Background revalidation failed:', { url: cacheKey, error: error.message });
+            });
+            return entry.data;
+        }
+
+        return this.revalidate(endpoint, cacheKey, entry, requestOptions);
+    }
+
+    // Conditional GET; concurrent revalidations of the same URL share one request
+    revalidate(endpoint, key, entry, options) {
+        const { signal, ...sharedOptions } = options;
+
+        return this.dedupe(`revalidate ${key}`, async (sharedSignal) => {
+            const result = await this.execute(endpoint, {
+                ...sharedOptions,
+                method: 'GET',
+                signal: sharedSignal,
+                headers: { ...sharedOptions.headers, ...(entry ? this.cache.conditionalHeaders(entry) : {}) },
+                validateStatus: (status) => status === 304 && Boolean(entry)
+            });
+
+            if (result.status === 304) {
+                await this.cache.refresh(key, entry, result.response);
+                return entry.data;
+            }
+
+            await this.cache.store(key, result);
+            return result.data;
+        }, signal);
     }
 
     async post(endpoint, data, options = {}) {
@@ -395,6 +3008,259 @@ class ApiClient {
     }
 }
 
+// Create a transport layer for tests that never touch the network.
+// A transport is any function (url, config) => Promise<Response>; pass it as
+// `transport` to ApiClient, BaseApiService, baseService or BlogApiService in
+// place of the global fetch. ApiClient also accepts the transport objects below
+// directly; the others need the function form, (url, config) => mock.send(url, config).
+// - MockTransport: route patterns (/api/users/:id), status codes, delays and
+//   failure injection (network errors, timeouts, error statuses)
+// - RecordingTransport: wraps a real transport and captures every exchange
+// - ReplayTransport: serves previously recorded exchanges from JSON fixtures
+
+// Builds a Response from { status, body, headers, statusText }; bodies that
+// aren't strings are sent as JSON
+function createMockResponse({ status = 200, statusText = '', body, headers = {} } = {}) {
+    const hasBody = body !== undefined && body !== null && status !== 204 && status !== 304;
+    const text = !hasBody ? null : typeof body === 'string' ? body : JSON.stringify(body);
+    const responseHeaders = hasBody && typeof body !== 'string'
+        ? { 'Content-Type': 'application/json', ...headers }
+        : headers;
+
+    return new Response(text, { status, statusText, headers: responseHeaders });
+}
+
+function parseRequestBody(body) {
+    if (typeof body !== 'string') {
+        return body ?? null;
+    }
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return body;
+    }
+}
+
+// Resolves after ms, or rejects like fetch does when the signal aborts
+function mockDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        };
+        const timer = ms === Infinity ? null : setTimeout(() => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+
+        if (signal?.aborted) {
+            abort();
+        } else {
+            signal?.addEventListener('abort', abort, { once: true });
+        }
+    });
+}
+
+class MockTransport {
+    constructor({ delay = 0 } = {}) {
+        this.defaultDelay = delay;
+        this.routes = [];
+        this.failures = [];
+        this.calls = [];
+        this.send = this.send.bind(this);
+    }
+
+    // respond: { status, body, headers, delay } or a function
+    // (request) => response object or Response, where request is
+    // { method, url, path, params, query, headers, body }
+    // Returns the route so failures can be injected for it alone.
+    on(method, pattern, respond) {
+        const route = {
+            method: method.toUpperCase(),
+            matcher: this.compilePattern(pattern),
+            respond,
+            failures: [],
+            calls: 0,
+            failNext(count, failure) {
+                for (let i = 0; i < count; i++) {
+                    this.failures.push(failure);
+                }
+                return this;
+            }
+        };
+        this.routes.push(route);
+        return route;
+    }
+
+    get(pattern, respond) { return this.on('GET', pattern, respond); }
+    post(pattern, respond) { return this.on('POST', pattern, respond); }
+    put(pattern, respond) { return this.on('PUT', pattern, respond); }
+    patch(pattern, respond) { return this.on('PATCH', pattern, respond); }
+    delete(pattern, respond) { return this.on('DELETE', pattern, respond); }
+
+    // Fail the next `count` requests on any route. failure is 'network',
+    // 'timeout' (hangs until the request is aborted) or a response object
+    // such as { status: 503 }.
+    failNext(count, failure) {
+        for (let i = 0; i < count; i++) {
+            this.failures.push(failure);
+        }
+        return this;
+    }
+
+    reset() {
+        this.routes = [];
+        this.failures = [];
+        this.calls = [];
+    }
+
+    // '/api/users/:id' -> /^\/api\/users\/([^/]+)$/ with param names
+    compilePattern(pattern) {
+        if (pattern instanceof RegExp) {
+            return (path) => {
+                const match = path.match(pattern);
+                return match ? { ...match.groups } : null;
+            };
+        }
+
+        const names = [];
+        const source = pattern
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/:(\w+)/g, (_, name) => {
+                names.push(name);
+                return '([^/]+)';
+            });
+        const regex = new RegExp(`^${source}$`);
+
+        return (path) => {
+            const match = path.match(regex);
+            if (!match) {
+                return null;
+            }
+            return names.reduce((params, name, index) => {
+                params[name] = decodeURIComponent(match[index + 1]);
+                return params;
+            }, {});
+        };
+    }
+
+    async send(url, config = {}) {
+        const parsed = new URL(url, 'http://mock.local');
+        const request = {
+            method: (config.method || 'GET').toUpperCase(),
+            url,
+            path: parsed.pathname,
+            query: Object.fromEntries(parsed.searchParams),
+            headers: { ...config.headers },
+            body: parseRequestBody(config.body),
+            params: {}
+        };
+        this.calls.push(request);
+
+        let route = null;
+        for (const candidate of this.routes) {
+            const params = candidate.method === request.method ? candidate.matcher(request.path) : null;
+            if (params) {
+                route = candidate;
+                request.params = params;
+                break;
+            }
+        }
+
+        const failure = route?.failures.shift() ?? this.failures.shift();
+        if (failure === 'network') {
+            await mockDelay(this.defaultDelay, config.signal);
+            throw new TypeError('Failed to fetch');
+        }
+        if (failure === 'timeout') {
+            await mockDelay(Infinity, config.signal);
+        }
+
+        let outcome;
+        if (failure) {
+            outcome = failure;
+        } else if (!route) {
+            outcome = { status: 404, body: { message: `No mock route for ${request.method} ${request.path}` } };
+        } else {
+            route.calls++;
+            outcome = typeof route.respond === 'function' ? await route.respond(request) : route.respond;
+        }
+
+        await mockDelay(outcome?.delay ?? this.defaultDelay, config.signal);
+        return outcome instanceof Response ? outcome : createMockResponse(outcome || {});
+    }
+}
+
+// Records real exchanges; JSON.stringify(recorder) produces the fixture file, e.g. in Node:
+// fs.writeFileSync('fixtures/users.json', JSON.stringify(recorder, null, 2))
+// Request headers are not recorded so tokens never end up in fixtures.
+class RecordingTransport {
+    constructor(transport = (url, config) => fetch(url, config)) {
+        this.transport = transport;
+        this.fixtures = [];
+        this.send = this.send.bind(this);
+    }
+
+    async send(url, config = {}) {
+        const response = await this.transport(url, config);
+        const body = await response.clone().text();
+
+        this.fixtures.push({
+            request: {
+                method: (config.method || 'GET').toUpperCase(),
+                url,
+                body: config.body ?? null
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                body
+            }
+        });
+
+        return response;
+    }
+
+    toJSON() {
+        return this.fixtures;
+    }
+}
+
+// Serves recorded fixtures. Exchanges with the same method and URL are
+// replayed in recorded order, so a "503 then 200" sequence replays as-is.
+class ReplayTransport {
+    constructor(fixtures, { strict = true } = {}) {
+        this.strict = strict;
+        this.queues = new Map();
+        this.send = this.send.bind(this);
+
+        fixtures.forEach(fixture => {
+            const key = `${fixture.request.method} ${fixture.request.url}`;
+            if (!this.queues.has(key)) {
+                this.queues.set(key, []);
+            }
+            this.queues.get(key).push(fixture.response);
+        });
+    }
+
+    async send(url, config = {}) {
+        const key = `${(config.method || 'GET').toUpperCase()} ${url}`;
+        const queue = this.queues.get(key) || [];
+        const recorded = queue.length > 1 ? queue.shift() : queue[0];
+
+        if (!recorded) {
+            if (this.strict) {
+                throw new Error(`No recorded fixture for ${key}`);
+            }
+            return createMockResponse({ status: 404, body: { message: `No recorded fixture for ${key}` } });
+        }
+
+        return createMockResponse(recorded);
+    }
+}
+
 // =======================================
 // SOLUTION 3: File Operations Error Handling
 // =======================================
@@ -405,6 +3271,7 @@ class ApiClient {
 // - Upload retry logic
 // - Server response validation
 // - Cleanup on failure
+// - Authenticates through the same token manager as ApiClient (options.tokenManager)
 
 async function uploadFileSecure(file, options = {}) {
     // Input validation
@@ -438,17 +3305,22 @@ async function uploadFileSecure(file, options = {}) {
         formData.append('metadata', JSON.stringify(options.metadata));
     }
 
+    const tokenManager = options.tokenManager || defaultTokenManager;
     let uploadUrl;
     let uploadId;
 
     try {
+        // Refreshed first if it is about to expire; null in httpOnly cookie mode
+        const token = await tokenManager.getValidAccessToken();
+
         // Step 1: Initialize upload
         const initResponse = await fetch('/api/upload/init', {
             method: 'POST',
             headers: {
-                'Authorization': `Bearer ${localStorage.getItem('token')}`,
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
                 'Content-Type': 'application/json'
             },
+            credentials: tokenManager.usesCookies ? 'include' : 'same-origin',
             body: JSON.stringify({
                 fileName: sanitizedName,
                 fileSize: file.size,
@@ -505,26 +3377,26 @@ async function uploadFileSecure(file, options = {}) {
                     }
                 } catch (error) {
                     // Cleanup on failure
-                    await cleanupFailedUpload(uploadId);
+                    await cleanupFailedUpload(uploadId, tokenManager);
                     reject(error);
                 }
             });
 
             // Error handler
             xhr.addEventListener('error', async () => {
-                await cleanupFailedUpload(uploadId);
+                await cleanupFailedUpload(uploadId, tokenManager);
                 reject(new Error('Upload failed due to network error'));
             });
 
             // Timeout handler
             xhr.addEventListener('timeout', async () => {
-                await cleanupFailedUpload(uploadId);
+                await cleanupFailedUpload(uploadId, tokenManager);
                 reject(new Error('Upload timed out'));
             });
 
             // Abort handler
             xhr.addEventListener('abort', async () => {
-                await cleanupFailedUpload(uploadId);
+                await cleanupFailedUpload(uploadId, tokenManager);
                 reject(new Error('Upload was cancelled'));
             });
 
@@ -533,10 +3405,10 @@ async function uploadFileSecure(file, options = {}) {
             xhr.open('POST', uploadUrl);
             
             // Add auth header
-            const token = localStorage.getItem('token');
             if (token) {
                 xhr.setRequestHeader('Authorization', `Bearer ${token}`);
             }
+            xhr.withCredentials = tokenManager.usesCookies;
 
             // Start upload
             xhr.send(formData);
@@ -550,7 +3422,7 @@ async function uploadFileSecure(file, options = {}) {
     } catch (error) {
         // Cleanup on any failure
         if (uploadId) {
-            await cleanupFailedUpload(uploadId);
+            await cleanupFailedUpload(uploadId, tokenManager);
         }
         
         throw error;
@@ -558,13 +3430,13 @@ async function uploadFileSecure(file, options = {}) {
 }
 
 // Helper function for cleanup
-async function cleanupFailedUpload(uploadId) {
+async function cleanupFailedUpload(uploadId, tokenManager = defaultTokenManager) {
     try {
+        const token = await tokenManager.getValidAccessToken();
         await fetch(`/api/upload/${uploadId}`, {
             method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
-            }
+            headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+            credentials: tokenManager.usesCookies ? 'include' : 'same-origin'
         });
     } catch (error) {
         console.warn('Failed to cleanup upload:', error);
@@ -52,9 +52,12 @@ const productService = {
 
 // Our standard service pattern (async/await with error handling):
 const baseService = {
+    // Replace in tests with a mock transport: (url, config) => Promise<Response>
+    transport: (url, config) => fetch(url, config),
+
     async get(endpoint) {
         try {
-            const response = await fetch(endpoint);
+            const response = await this.transport(endpoint);
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -65,12 +68,13 @@ const baseService = {
         }
     },
 
-    async post(endpoint, data) {
+    async post(endpoint, data, headers = {}) {
         try {
-            const response = await fetch(endpoint, {
+            const response = await this.transport(endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...headers,
                 },
                 body: JSON.stringify(data),
             });
@@ -93,13 +97,15 @@ const orderService = {
         return baseService.get(`/api/orders/${orderId}`);
     },
 
-    async createOrder(orderData) {
-        return baseService.post('/api/orders', orderData);
+    // Pass the same idempotencyKey when retrying a failed call so the
+    // server creates the order only once
+    async createOrder(orderData, idempotencyKey = crypto.randomUUID()) {
+        return baseService.post('/api/orders', orderData, { 'Idempotency-Key': idempotencyKey });
     },
 
     async updateOrder(orderId, updates) {
         try {
-            const response = await fetch(`/api/orders/${orderId}`, {
+            const response = await baseService.transport(`/api/orders/${orderId}`, {
                 method: 'PATCH',
                 headers: {
                     'Content-Type': 'application/json',
@@ -120,7 +126,7 @@ const orderService = {
 
     async deleteOrder(orderId) {
         try {
-            const response = await fetch(`/api/orders/${orderId}`, {
+            const response = await baseService.transport(`/api/orders/${orderId}`, {
                 method: 'DELETE',
             });
             
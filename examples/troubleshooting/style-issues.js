@@ -180,6 +180,8 @@ class BaseApiService {
             'Content-Type': 'application/json',
             ...options.headers,
         };
+        // Swap in a mock transport for tests: (url, config) => Promise<Response>
+        this.transport = options.transport || ((url, config) => fetch(url, config));
     }
 
     async request(endpoint, options = {}) {
@@ -190,7 +192,7 @@ class BaseApiService {
         };
 
         try {
-            const response = await fetch(url, config);
+            const response = await this.transport(url, config);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -217,8 +219,8 @@ class BaseApiService {
 
 // Following the BaseApiService template above, create a UserService:
 class UserService extends BaseApiService {
-    constructor() {
-        super('/api/users');
+    constructor(options = {}) {
+        super('/api/users', options);
     }
 
     async getById(userId) {